@@ -25,11 +25,25 @@ if [[ -z "${DEPLOY_TARGET:-}" ]]; then
 fi
 
 SRC_DIR="$ROOT_DIR/public/"
+EXCLUDE_FILE="$ROOT_DIR/data/deploy-exclude.txt"
 
 RSYNC_FLAGS=("-az" "--itemize-changes")
 
+# Originals and sidecars that still carry GPS are listed by the build; downloads link to stripped copies instead.
 if [[ "${DEPLOY_DELETE:-}" == "true" ]]; then
-  RSYNC_FLAGS+=("--delete")
+  RSYNC_FLAGS+=("--delete" "--delete-excluded")
+  if [[ -f "$EXCLUDE_FILE" ]]; then
+    RSYNC_FLAGS+=("--exclude-from=$EXCLUDE_FILE")
+  fi
+elif [[ -f "$EXCLUDE_FILE" ]]; then
+  # Listed files are never uploaded, and copies left on the server by an earlier deploy are deleted.
+  # Everything else on the server is protected, so nothing else is removed without DEPLOY_DELETE.
+  RSYNC_FLAGS+=(
+    "--delete"
+    "--filter=merge,-s $EXCLUDE_FILE"
+    "--filter=merge,+r $EXCLUDE_FILE"
+    "--filter=protect *"
+  )
 fi
 
 if [[ "${DEPLOY_DRY_RUN:-}" == "true" ]]; then
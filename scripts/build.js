@@ -1,18 +1,47 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
 const exifr = require('exifr');
-const sharp = require('sharp');
+const { find: findTimeZones } = require('geo-tz');
+const { Marked } = require('marked');
 
-const ROOT = path.resolve(__dirname, '..');
+// Tests point BIRDOPEDIA_ROOT at a scratch directory with its own config.json and data/.
+const ROOT = path.resolve(process.env.BIRDOPEDIA_ROOT || path.join(__dirname, '..'));
 const PUBLIC_DIR = path.join(ROOT, 'public');
 const IMG_DIR = path.join(PUBLIC_DIR, 'img');
-const SITE_DIR = path.join(PUBLIC_DIR, 'birdopedia');
 const TEMPLATES_DIR = path.join(ROOT, 'templates');
 const CONFIG_PATH = path.join(ROOT, 'config.json');
 const EBIRD_PATH = path.join(ROOT, 'data', 'ebird.json');
 const WIKIPEDIA_PATH = path.join(ROOT, 'data', 'wikipedia.json');
 const XENOCANTO_PATH = path.join(ROOT, 'data', 'xenocanto.json');
+const EBIRD_EXPORT_PATH = path.join(ROOT, 'data', 'ebird-export.json');
+const SEEN_PATH = path.join(ROOT, 'data', 'seen.json');
 const GEOCODE_PATH = path.join(ROOT, 'data', 'geocode.json');
+const CURATION_PATH = path.join(ROOT, 'data', 'curation.json');
+const DEPLOY_EXCLUDE_PATH = path.join(ROOT, 'data', 'deploy-exclude.txt');
+const DOWNLOADS_DIR = path.join(PUBLIC_DIR, 'downloads');
+const TRACKS_DIR = path.join(ROOT, 'data', 'tracks');
+const TRACK_GEOTAGS_PATH = path.join(ROOT, 'data', 'track-geotags.json');
+const CLOCK_REPORT_PATH = path.join(ROOT, 'data', 'clock-offset-report.txt');
+const TRIP_IDS_PATH = path.join(ROOT, 'data', 'trip-ids.json');
+const PHOTO_SLUGS_PATH = path.join(ROOT, 'data', 'photo-slugs.json');
+const TRIP_OVERRIDES_PATH = path.join(ROOT, 'data', 'trips.overrides.json');
+const JOURNAL_DIR = path.join(ROOT, 'data', 'journal');
+const FIT_EPOCH_MS = Date.UTC(1989, 11, 31);
+const BUILD_CACHE_PATH = path.join(ROOT, 'data', 'build-cache.json');
+const BUILD_CACHE_VERSION = 4;
+const HARD_REFRESH = process.argv.includes('--hard');
+const ASSETS_ONLY = process.argv.includes('--assets-only');
+const EBIRD_EXPORT_KEYS = process.argv.includes('--ebird-export')
+  ? process.argv.slice(process.argv.indexOf('--ebird-export') + 1).filter((arg) => !arg.startsWith('--'))
+  : null;
+const GENERATED_VARIANT_PATTERN = /\.\d+w\.(avif|webp)$/i;
+const SOCIAL_CARD_WIDTH = 1200;
+const SOCIAL_CARD_HEIGHT = 630;
+const SOCIAL_CARD_VERSION = 1;
+const APP_ICON_SIZES = [192, 512];
+const THEME_COLOR = '#1f4b5e';
 
 function readJson(filePath, fallback) {
   try {
@@ -29,6 +58,23 @@ const config = readJson(CONFIG_PATH, {
   siteLede: 'A growing field guide built from days in the field.',
   ebirdProfileUrl: ''
 });
+const SITE_TITLE = String(config.siteTitle || 'Birdopedia').trim() || 'Birdopedia';
+const SITE_BASE_PATH = normalizeBasePath(config.basePath);
+const SITE_ORIGIN = String(config.siteOrigin || '').trim().replace(/\/+$/, '');
+const SITE_DIR = path.join(PUBLIC_DIR, ...SITE_BASE_PATH.split('/').filter(Boolean));
+const FEED_ENTRY_LIMIT = 30;
+const FEEDS = [
+  {
+    key: 'captures',
+    title: `${SITE_TITLE} • Recent captures`,
+    description: 'The newest photograph of each species in the archive.'
+  },
+  {
+    key: 'lifers',
+    title: `${SITE_TITLE} • New species`,
+    description: 'Species photographed for the first time.'
+  }
+];
 const ebird = readJson(EBIRD_PATH, { species: {}, source: { name: 'eBird', url: 'https://ebird.org' } });
 const wikidata = readJson(path.join(ROOT, 'data', 'wikidata.json'), { species: {}, source: { name: 'Wikidata', url: 'https://query.wikidata.org/' } });
 const wikipedia = readJson(WIKIPEDIA_PATH, {
@@ -49,6 +95,118 @@ const geocodeCache = readJson(GEOCODE_PATH, {
   source: { name: 'Nominatim', url: 'https://nominatim.openstreetmap.org/' },
   updatedAt: null
 });
+const ebirdExport = readJson(EBIRD_EXPORT_PATH, null);
+const seenList = readJson(SEEN_PATH, { species: {} });
+const HAS_TARGET_LIST = Object.keys(ebirdExport?.species || {}).length + Object.keys(seenList.species || {}).length > 0;
+const curation = readJson(CURATION_PATH, { species: {}, trips: {} });
+const tripOverrides = readJson(TRIP_OVERRIDES_PATH, { trips: {} });
+const tripIdRegistry = readJson(TRIP_IDS_PATH, {});
+const photoSlugRegistry = readJson(PHOTO_SLUGS_PATH, {});
+const assignedPhotoSlugs = {};
+// The site's own folder names are kept out of photo URLs.
+const RESERVED_PHOTO_SLUGS = new Set(['map', 'trips', 'cards', 'offline', 'targets', 'icons']);
+const buildCache = loadBuildCache();
+const IMAGE_WORKERS = resolveImageWorkerCount();
+const IMAGE_WIDTHS = resolveImageWidths();
+const OFFLINE_IMAGE_BUDGET_MB = Number(config.offlineImageBudgetMb) > 0 ? Number(config.offlineImageBudgetMb) : 150;
+const PRIVACY_ZONES = (Array.isArray(config.privacyZones) ? config.privacyZones : []).filter(
+  (zone) => Number.isFinite(zone?.lat) && Number.isFinite(zone?.lon) && Number(zone?.radiusKm) > 0
+);
+const SENSITIVE_SPECIES = new Set(
+  (Array.isArray(config.sensitiveSpecies) ? config.sensitiveSpecies : []).map((name) => String(name).trim().toLowerCase())
+);
+const LOCATION_GRID_KM = Number(config.locationGridKm) > 0 ? Number(config.locationGridKm) : 10;
+const STRIP_DOWNLOAD_GPS = config.stripDownloadGps !== false;
+const DEFAULT_TIME_ZONE = resolveDefaultTimeZone();
+const TRACK_CLOCK_OFFSET_MS = (Number(config.trackClockOffsetSeconds) || 0) * 1000;
+const TRACK_MAX_GAP_MS = (Number(config.trackMaxGapSeconds) > 0 ? Number(config.trackMaxGapSeconds) : 300) * 1000;
+const TRIP_CLUSTER_RADIUS_KM = Number(config.tripClusterRadiusKm) > 0 ? Number(config.tripClusterRadiusKm) : 30;
+const TRIP_SITE_CELL_KM = 0.1;
+const TRIP_LINK_GAP_MS = (Number(config.tripLinkGapMinutes) > 0 ? Number(config.tripLinkGapMinutes) : 90) * 60000;
+const TRIP_LINK_SPEED_KMH = Number(config.tripLinkSpeedKmh) > 0 ? Number(config.tripLinkSpeedKmh) : 80;
+const TRIP_OVERNIGHT_MS = (Number(config.tripOvernightHours) > 0 ? Number(config.tripOvernightHours) : 14) * 3600000;
+const CAMERA_CLOCK_OFFSETS = (Array.isArray(config.cameraClockOffsets) ? config.cameraClockOffsets : []).filter(
+  (rule) => rule && (rule.camera || rule.serial) && Number.isFinite(Number(rule.offsetSeconds)) && Number(rule.offsetSeconds) !== 0
+);
+
+// libuv runs at most UV_THREADPOOL_SIZE (default 4) sharp jobs at once; size it to the pool before sharp loads.
+if (!process.env.UV_THREADPOOL_SIZE && IMAGE_WORKERS > 4) {
+  process.env.UV_THREADPOOL_SIZE = String(Math.min(IMAGE_WORKERS, 1024));
+}
+const sharp = require('sharp');
+
+if (IMAGE_WORKERS > 1) {
+  // Parallelism comes from the job pool; keep libvips from oversubscribing each core.
+  sharp.concurrency(1);
+}
+
+function loadBuildCache() {
+  const empty = { version: BUILD_CACHE_VERSION, images: {}, outputs: {}, variants: {}, cards: {}, downloads: {} };
+  if (HARD_REFRESH) {
+    return empty;
+  }
+  const cached = readJson(BUILD_CACHE_PATH, null);
+  if (!cached || cached.version !== BUILD_CACHE_VERSION) {
+    return empty;
+  }
+  return {
+    version: BUILD_CACHE_VERSION,
+    images: cached.images || {},
+    outputs: cached.outputs || {},
+    variants: cached.variants || {},
+    cards: cached.cards || {},
+    downloads: cached.downloads || {}
+  };
+}
+
+function saveBuildCache(imageKeys) {
+  const liveKeys = new Set(imageKeys);
+  Object.keys(buildCache.images).forEach((key) => {
+    if (!liveKeys.has(key)) {
+      delete buildCache.images[key];
+    }
+  });
+  writeBuildCache();
+}
+
+function writeBuildCache() {
+  fs.mkdirSync(path.dirname(BUILD_CACHE_PATH), { recursive: true });
+  fs.writeFileSync(BUILD_CACHE_PATH, JSON.stringify(buildCache));
+}
+
+function imageCacheKey(birdName, filename) {
+  return `${birdName}/${filename}`;
+}
+
+function hashContent(contents) {
+  return crypto.createHash('sha1').update(contents).digest('hex');
+}
+
+const imageCacheStats = { hits: 0, misses: 0 };
+const outputStats = { written: 0, unchanged: 0 };
+const socialCardState = { ready: new Set() };
+
+function writeOutput(filePath, contents) {
+  const key = path.relative(PUBLIC_DIR, filePath).split(path.sep).join('/');
+  const hash = hashContent(contents);
+  if (buildCache.outputs[key] === hash && fs.existsSync(filePath)) {
+    outputStats.unchanged += 1;
+    return false;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+  buildCache.outputs[key] = hash;
+  outputStats.written += 1;
+  return true;
+}
+
+function copyTemplate(filename) {
+  const source = path.join(TEMPLATES_DIR, filename);
+  if (!fs.existsSync(source)) {
+    return false;
+  }
+  return writeOutput(path.join(SITE_DIR, filename), fs.readFileSync(source));
+}
 
 function toWebPath(...parts) {
   return parts
@@ -56,6 +214,44 @@ function toWebPath(...parts) {
     .join('/');
 }
 
+function normalizeBasePath(value) {
+  if (value === undefined || value === null) {
+    return '/birdopedia';
+  }
+  const segments = String(value)
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  return segments.length ? `/${segments.join('/')}` : '';
+}
+
+function sitePath(...parts) {
+  return `${SITE_BASE_PATH}/${toWebPath(...parts)}`;
+}
+
+function speciesPath(birdName) {
+  return sitePath(birdName, 'index.html');
+}
+
+function photoPath(birdName, slug) {
+  return sitePath(birdName, slug, 'index.html');
+}
+
+function tripPath(tripId) {
+  return sitePath('trips', tripId, 'index.html');
+}
+
+function mapPath(params = {}) {
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${sitePath('map', 'index.html')}${query ? `?${query}` : ''}`;
+}
+
+function absoluteUrl(pathname) {
+  return SITE_ORIGIN ? `${SITE_ORIGIN}${pathname}` : null;
+}
+
 function listBirds() {
   if (!fs.existsSync(IMG_DIR)) {
     return [];
@@ -73,104 +269,557 @@ function listImages(birdDir) {
     .readdirSync(fullPath, { withFileTypes: true })
     .filter((entry) => entry.isFile())
     .map((entry) => entry.name)
-    .filter((name) => /\.(jpe?g|png|webp)$/i.test(name))
+    .filter((name) => /\.(jpe?g|png|webp)$/i.test(name) && !GENERATED_VARIANT_PATTERN.test(name))
     .sort((a, b) => a.localeCompare(b));
 }
 
-function avifTargetPath(imagePath) {
-  const ext = path.extname(imagePath).toLowerCase();
-  if (ext !== '.jpg' && ext !== '.jpeg') {
-    return null;
-  }
-  const base = imagePath.slice(0, -ext.length);
-  return `${base}.avif`;
-}
+const VARIANT_FORMATS = {
+  avif: { label: 'AVIF', encode: (pipeline) => pipeline.avif({ quality: 55, effort: 4 }) },
+  webp: { label: 'WebP', encode: (pipeline) => pipeline.webp({ quality: 78 }) }
+};
 
-function thumbTargetPath(imagePath) {
-  const ext = path.extname(imagePath).toLowerCase();
-  const base = imagePath.slice(0, -ext.length);
-  return `${base}.thumb.avif`;
+function resolveImageWidths() {
+  const requested = Array.isArray(config.imageWidths) ? config.imageWidths : [480, 960, 1600, 2400];
+  const widths = Array.from(new Set(requested.map(Number).filter((width) => Number.isInteger(width) && width > 0)));
+  return widths.length ? widths.sort((a, b) => a - b) : [480, 960, 1600, 2400];
 }
 
-function needsAvifVariant(imagePath) {
-  const target = avifTargetPath(imagePath);
-  if (!target) {
-    return false;
+function variantWidthsFor(sourceWidth) {
+  if (!Number.isFinite(sourceWidth) || sourceWidth <= 0) {
+    return IMAGE_WIDTHS.slice(0, 1);
   }
-  if (!fs.existsSync(target)) {
-    return true;
+  const widths = IMAGE_WIDTHS.filter((width) => width < sourceWidth);
+  const largest = Math.min(sourceWidth, IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]);
+  if (!widths.includes(largest)) {
+    widths.push(largest);
   }
-  const targetStat = fs.statSync(target);
-  return targetStat.size === 0;
+  return widths;
 }
 
-function needsThumbVariant(imagePath) {
-  const target = thumbTargetPath(imagePath);
-  if (!target) {
-    return false;
-  }
+function variantBasePath(imagePath) {
+  const ext = path.extname(imagePath);
+  return imagePath.slice(0, -ext.length);
+}
+
+function variantTargetPath(imagePath, width, format) {
+  return `${variantBasePath(imagePath)}.${width}w.${format}`;
+}
+
+function variantWebPath(variantBase, width, format) {
+  return `${variantBase}.${width}w.${format}`;
+}
+
+function variantCacheKey(target) {
+  return path.relative(IMG_DIR, target).split(path.sep).join('/');
+}
+
+function sourceFingerprint(sourceStat) {
+  return `${sourceStat.size}:${Math.round(sourceStat.mtimeMs)}`;
+}
+
+function variantStaleReason(target, sourceStat) {
   if (!fs.existsSync(target)) {
-    return true;
+    return 'missing';
   }
   const targetStat = fs.statSync(target);
-  return targetStat.size === 0;
+  if (targetStat.size === 0) {
+    return 'zero-byte';
+  }
+  const recorded = buildCache.variants[variantCacheKey(target)];
+  if (recorded) {
+    return recorded === sourceFingerprint(sourceStat) ? null : 'source changed';
+  }
+  // No fingerprint yet (first run or --hard): fall back to comparing timestamps.
+  return targetStat.mtimeMs < sourceStat.mtimeMs ? 'source changed' : null;
 }
 
-async function ensureAvifVariant(imagePath) {
-  const target = avifTargetPath(imagePath);
-  if (!target) {
-    return false;
-  }
+async function ensureVariant(imagePath, width, format, reason = 'missing') {
+  const target = variantTargetPath(imagePath, width, format);
+  const { label, encode } = VARIANT_FORMATS[format];
   try {
-    if (fs.existsSync(target)) {
-      const targetStat = fs.statSync(target);
-      if (targetStat.size === 0) {
-        console.warn(`AVIF: zero-byte file found, regenerating ${path.basename(target)}`);
-      } else {
-        return false;
-      }
+    if (reason !== 'missing') {
+      console.warn(`${label}: ${reason}, regenerating ${path.basename(target)}`);
     }
-    await sharp(imagePath)
-      .avif({ quality: 60, effort: 4 })
-      .toFile(target);
+    await encode(sharp(imagePath).resize({ width, withoutEnlargement: true })).toFile(target);
     const outputStat = fs.statSync(target);
     if (outputStat.size === 0) {
-      console.warn(`AVIF: generated zero-byte file for ${path.basename(target)}`);
+      console.warn(`${label}: generated zero-byte file for ${path.basename(target)}`);
+      return 'failed';
     }
-    return true;
+    return 'created';
   } catch (error) {
-    console.warn(`AVIF: failed to generate for ${imagePath}.`, error.message || error);
-    return false;
+    console.warn(`${label}: failed to generate ${width}w for ${imagePath}.`, error.message || error);
+    return 'failed';
   }
 }
 
-async function ensureThumbVariant(imagePath) {
-  const target = thumbTargetPath(imagePath);
-  if (!target) {
-    return false;
+// Naive EXIF times with no position to look a zone up from are read here, never in the build machine's zone.
+function resolveDefaultTimeZone() {
+  if (!config.timeZone) {
+    return 'UTC';
   }
   try {
-    if (fs.existsSync(target)) {
-      const targetStat = fs.statSync(target);
-      if (targetStat.size === 0) {
-        console.warn(`Thumb: zero-byte file found, regenerating ${path.basename(target)}`);
-      } else {
-        return false;
+    return new Intl.DateTimeFormat('en-US', { timeZone: config.timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    console.warn(`Config: unknown timeZone ${config.timeZone}; reading naive capture times as UTC.`);
+    return 'UTC';
+  }
+}
+
+function resolveImageWorkerCount() {
+  const flag = process.argv.find((arg) => arg.startsWith('--workers='));
+  const requested = Number(flag ? flag.slice('--workers='.length) : process.env.BUILD_WORKERS || config.imageWorkers);
+  if (Number.isInteger(requested) && requested > 0) {
+    return requested;
+  }
+  const cpuCount = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cpuCount);
+}
+
+function collectImageJobs(birds) {
+  const jobs = [];
+  let skipped = 0;
+  birds.forEach((bird) => {
+    bird.images.forEach((image) => {
+      const imagePath = path.join(IMG_DIR, bird.name, image.filename);
+      const sourceStat = fs.statSync(imagePath);
+      const fingerprint = sourceFingerprint(sourceStat);
+      image.variantWidths.forEach((width) => {
+        Object.keys(VARIANT_FORMATS).forEach((format) => {
+          const target = variantTargetPath(imagePath, width, format);
+          const cacheKey = variantCacheKey(target);
+          const reason = variantStaleReason(target, sourceStat);
+          if (!reason) {
+            buildCache.variants[cacheKey] = fingerprint;
+            skipped += 1;
+            return;
+          }
+          jobs.push({
+            kind: format,
+            target,
+            run: async () => {
+              const status = await ensureVariant(imagePath, width, format, reason);
+              if (status === 'created') {
+                buildCache.variants[cacheKey] = fingerprint;
+              }
+              return status;
+            }
+          });
+        });
+      });
+    });
+  });
+  return { jobs, skipped };
+}
+
+// Legacy builds wrote <stem>.avif and <stem>.thumb.avif. listImages never takes an AVIF as a source, so every one
+// of them is a derivative, including those whose source photo has since been deleted.
+function isGeneratedVariantName(name) {
+  return GENERATED_VARIANT_PATTERN.test(name) || /\.avif$/i.test(name);
+}
+
+function pruneOrphanedVariants(birdNames, birds) {
+  const expected = new Set();
+  birds.forEach((bird) => {
+    bird.images.forEach((image) => {
+      const imagePath = path.join(IMG_DIR, bird.name, image.filename);
+      image.variantWidths.forEach((width) => {
+        Object.keys(VARIANT_FORMATS).forEach((format) => {
+          expected.add(variantTargetPath(imagePath, width, format));
+        });
+      });
+    });
+  });
+  let removed = 0;
+  birdNames.forEach((birdName) => {
+    const birdDir = path.join(IMG_DIR, birdName);
+    fs.readdirSync(birdDir, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && isGeneratedVariantName(entry.name))
+      .map((entry) => path.join(birdDir, entry.name))
+      .filter((filePath) => !expected.has(filePath))
+      .forEach((filePath) => {
+        try {
+          fs.unlinkSync(filePath);
+          delete buildCache.variants[variantCacheKey(filePath)];
+          removed += 1;
+        } catch (error) {
+          console.warn(`Cleanup: failed to remove ${filePath}.`, error.message || error);
+        }
+      });
+  });
+  Object.keys(buildCache.variants).forEach((key) => {
+    if (!expected.has(path.join(IMG_DIR, ...key.split('/')))) {
+      delete buildCache.variants[key];
+    }
+  });
+  return removed;
+}
+
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+// Removes the GPS IFD from an Exif APP1 segment in place: the IFD0 pointer entry is dropped and the GPS
+// entries and their values are zeroed. Everything else keeps its offset, so the image data is untouched.
+function stripExifGps(segment, tiffStart) {
+  const little = segment.toString('ascii', tiffStart, tiffStart + 2) === 'II';
+  const read16 = (offset) => (little ? segment.readUInt16LE(offset) : segment.readUInt16BE(offset));
+  const read32 = (offset) => (little ? segment.readUInt32LE(offset) : segment.readUInt32BE(offset));
+  const write16 = (offset, value) => (little ? segment.writeUInt16LE(value, offset) : segment.writeUInt16BE(value, offset));
+  const ifd0 = tiffStart + read32(tiffStart + 4);
+  const count = read16(ifd0);
+  for (let index = 0; index < count; index += 1) {
+    const entry = ifd0 + 2 + index * 12;
+    if (read16(entry) !== 0x8825) {
+      continue;
+    }
+    const gpsIfd = tiffStart + read32(entry + 8);
+    const gpsCount = read16(gpsIfd);
+    for (let gpsIndex = 0; gpsIndex < gpsCount; gpsIndex += 1) {
+      const gpsEntry = gpsIfd + 2 + gpsIndex * 12;
+      const size = (TIFF_TYPE_SIZES[read16(gpsEntry + 2)] || 1) * read32(gpsEntry + 4);
+      if (size > 4) {
+        const valueOffset = tiffStart + read32(gpsEntry + 8);
+        segment.fill(0, valueOffset, Math.min(segment.length, valueOffset + size));
       }
     }
-    await sharp(imagePath)
-      .resize({ width: 720, withoutEnlargement: true })
-      .avif({ quality: 45, effort: 4 })
-      .toFile(target);
-    const outputStat = fs.statSync(target);
-    if (outputStat.size === 0) {
-      console.warn(`Thumb: generated zero-byte file for ${path.basename(target)}`);
+    segment.fill(0, gpsIfd, gpsIfd + 2 + gpsCount * 12 + 4);
+    const ifdEnd = ifd0 + 2 + count * 12 + 4;
+    segment.copy(segment, entry, entry + 12, ifdEnd);
+    segment.fill(0, ifdEnd - 12, ifdEnd);
+    write16(ifd0, count - 1);
+    return;
+  }
+}
+
+function stripXmpGps(xmp) {
+  return xmp
+    .replace(/\s(?:exif|exifEX):GPS\w+="[^"]*"/g, '')
+    .replace(/<((?:exif|exifEX):GPS\w+)\b[^>]*>[\s\S]*?<\/\1>/g, '')
+    .replace(/<(?:exif|exifEX):GPS\w+\b[^>]*\/>/g, '');
+}
+
+// Walks the JPEG markers up to the start of scan; returns null for anything that is not a well-formed JPEG.
+function stripJpegGps(buffer) {
+  if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) {
+    return null;
+  }
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    const marker = buffer.readUInt16BE(offset);
+    if ((marker & 0xff00) !== 0xff00) {
+      return null;
     }
-    return true;
-  } catch (error) {
-    console.warn(`Thumb: failed to generate for ${imagePath}.`, error.message || error);
-    return false;
+    if (marker === 0xffda) {
+      break;
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      return null;
+    }
+    let segment = Buffer.from(buffer.subarray(offset, end));
+    if (marker === 0xffe1 && segment.toString('binary', 4, 10) === 'Exif\0\0') {
+      stripExifGps(segment, 10);
+    } else if (marker === 0xffe1 && segment.toString('binary', 4, 4 + XMP_HEADER.length) === XMP_HEADER) {
+      const xmp = stripXmpGps(segment.toString('utf8', 4 + XMP_HEADER.length));
+      const payload = Buffer.concat([Buffer.from(XMP_HEADER, 'binary'), Buffer.from(xmp, 'utf8')]);
+      const header = Buffer.alloc(4);
+      header.writeUInt16BE(0xffe1, 0);
+      header.writeUInt16BE(payload.length + 2, 2);
+      segment = Buffer.concat([header, payload]);
+    }
+    parts.push(segment);
+    offset = end;
+  }
+  parts.push(buffer.subarray(offset));
+  return Buffer.concat(parts);
+}
+
+function downloadCopyPath(birdName, filename) {
+  return path.join(DOWNLOADS_DIR, birdName, filename);
+}
+
+async function writeDownloadCopy(sourcePath, targetPath) {
+  const source = fs.readFileSync(sourcePath);
+  let stripped = null;
+  if (/\.jpe?g$/i.test(sourcePath)) {
+    try {
+      stripped = stripJpegGps(source);
+    } catch (error) {
+      stripped = null;
+    }
+  }
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  if (stripped) {
+    fs.writeFileSync(targetPath, stripped);
+    return;
+  }
+  // Re-encoding drops all metadata; rotate() bakes in the orientation the dropped EXIF carried.
+  const pipeline = sharp(source).rotate();
+  const ext = path.extname(sourcePath).toLowerCase();
+  if (ext === '.png') {
+    await pipeline.png().toFile(targetPath);
+  } else if (ext === '.webp') {
+    await pipeline.webp({ lossless: true }).toFile(targetPath);
+  } else {
+    await pipeline.jpeg({ quality: 95, mozjpeg: true }).toFile(targetPath);
+  }
+}
+
+async function syncDownloadCopies(birds) {
+  const summary = { written: 0, skipped: 0, removed: 0, failed: 0 };
+  const expected = new Set();
+  for (const bird of birds) {
+    for (const image of bird.images.filter((entry) => entry.downloadCopy)) {
+      const sourcePath = path.join(IMG_DIR, bird.name, image.filename);
+      const targetPath = downloadCopyPath(bird.name, image.filename);
+      const cacheKey = `${bird.name}/${image.filename}`;
+      const fingerprint = sourceFingerprint(fs.statSync(sourcePath));
+      expected.add(targetPath);
+      if (buildCache.downloads[cacheKey] === fingerprint && fs.existsSync(targetPath)) {
+        summary.skipped += 1;
+        continue;
+      }
+      try {
+        await writeDownloadCopy(sourcePath, targetPath);
+        buildCache.downloads[cacheKey] = fingerprint;
+        summary.written += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.warn(`Download: failed to strip GPS from ${cacheKey}.`, error.message || error);
+      }
+    }
+  }
+  if (fs.existsSync(DOWNLOADS_DIR)) {
+    fs.readdirSync(DOWNLOADS_DIR, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => {
+        const birdDir = path.join(DOWNLOADS_DIR, entry.name);
+        fs.readdirSync(birdDir)
+          .map((filename) => path.join(birdDir, filename))
+          .filter((filePath) => !expected.has(filePath))
+          .forEach((filePath) => {
+            fs.rmSync(filePath, { force: true });
+            summary.removed += 1;
+          });
+        if (!fs.readdirSync(birdDir).length) {
+          fs.rmdirSync(birdDir);
+        }
+      });
+  }
+  Object.keys(buildCache.downloads).forEach((key) => {
+    if (!expected.has(path.join(DOWNLOADS_DIR, ...key.split('/')))) {
+      delete buildCache.downloads[key];
+    }
+  });
+  return summary;
+}
+
+// rsync only honours backslash escapes in patterns that contain a wildcard character.
+function toRsyncPattern(webPath) {
+  return /[*?[]/.test(webPath) ? webPath.replace(/[\\*?[]/g, '\\$&') : webPath;
+}
+
+// deploy.sh reads this list so originals and XMP sidecars that still carry GPS never leave the machine.
+function writeDeployExcludes(paths) {
+  if (!paths.length) {
+    fs.rmSync(DEPLOY_EXCLUDE_PATH, { force: true });
+    return;
+  }
+  const patterns = Array.from(new Set(paths)).sort((a, b) => a.localeCompare(b)).map(toRsyncPattern);
+  fs.mkdirSync(path.dirname(DEPLOY_EXCLUDE_PATH), { recursive: true });
+  fs.writeFileSync(DEPLOY_EXCLUDE_PATH, `${patterns.join('\n')}\n`);
+}
+
+async function runImageJobs(jobs, workerCount) {
+  const summary = { created: 0, failed: 0, skipped: 0 };
+  const results = new Array(jobs.length).fill(null);
+  let nextJob = 0;
+  let nextReport = 0;
+
+  // Jobs finish out of order; only print the contiguous prefix so the log reads 1..n.
+  const flushProgress = () => {
+    while (nextReport < jobs.length && results[nextReport]) {
+      const job = jobs[nextReport];
+      console.log(`${nextReport + 1}/${jobs.length} ${results[nextReport]} ${path.basename(job.target)}`);
+      nextReport += 1;
+    }
+  };
+
+  const runWorker = async () => {
+    while (nextJob < jobs.length) {
+      const index = nextJob;
+      nextJob += 1;
+      let status = 'failed';
+      try {
+        status = await jobs[index].run();
+      } catch (error) {
+        console.warn(`Image job failed for ${jobs[index].target}.`, error.message || error);
+      }
+      summary[status] += 1;
+      results[index] = status;
+      flushProgress();
+    }
+  };
+
+  const poolSize = Math.min(workerCount, jobs.length);
+  await Promise.all(Array.from({ length: poolSize }, () => runWorker()));
+  return summary;
+}
+
+function socialCardPath(key) {
+  return sitePath('cards', ...key.split('/'));
+}
+
+function socialCardFile(key) {
+  return path.join(SITE_DIR, 'cards', ...key.split('/'));
+}
+
+// Only cards the build actually produced are advertised; a failed card leaves the page without one.
+function socialCardImage(key, alt) {
+  if (!socialCardState.ready.has(key)) {
+    return null;
+  }
+  return { src: socialCardPath(key), width: SOCIAL_CARD_WIDTH, height: SOCIAL_CARD_HEIGHT, alt };
+}
+
+function speciesCardKey(birdName) {
+  return `species/${slugify(birdName) || 'species'}.jpg`;
+}
+
+function tripCardKey(trip) {
+  return `trips/${trip.id}.jpg`;
+}
+
+// Prefer landscape frames that fill the card, then the largest, then the newest.
+function pickCardImage(images) {
+  const scored = images.map((image, index) => {
+    const landscape = Number.isFinite(image.width) && Number.isFinite(image.height) && image.width > image.height;
+    const rating = Number.isFinite(image.rating) ? image.rating : 0;
+    return { image, index, landscape, rating, pixels: (image.width || 0) * (image.height || 0) };
+  });
+  scored.sort((a, b) => {
+    if (a.rating !== b.rating) {
+      return b.rating - a.rating;
+    }
+    if (a.landscape !== b.landscape) {
+      return a.landscape ? -1 : 1;
+    }
+    if (a.pixels !== b.pixels) {
+      return b.pixels - a.pixels;
+    }
+    return a.index - b.index;
+  });
+  return scored[0]?.image || null;
+}
+
+function truncateText(value, maxLength) {
+  const text = String(value || '').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+function renderSocialCardOverlay({ title, subtitle, meta }) {
+  const titleText = truncateText(title, 40);
+  const titleSize = titleText.length > 24 ? 56 : 68;
+  const lines = [
+    { text: titleText, size: titleSize, weight: 700, style: 'normal', fill: '#ffffff' },
+    subtitle ? { text: truncateText(subtitle, 64), size: 32, weight: 400, style: 'italic', fill: '#f3f1ec' } : null,
+    meta ? { text: truncateText(meta, 72), size: 26, weight: 400, style: 'normal', fill: '#e6eef3' } : null
+  ].filter(Boolean);
+  let y = SOCIAL_CARD_HEIGHT - 56;
+  const textNodes = lines
+    .slice()
+    .reverse()
+    .map((line) => {
+      const node = `<text x="64" y="${y}" font-size="${line.size}" font-weight="${line.weight}" font-style="${line.style}" fill="${line.fill}">${escapeXml(line.text)}</text>`;
+      y -= line.size + 18;
+      return node;
+    })
+    .reverse()
+    .join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SOCIAL_CARD_WIDTH}" height="${SOCIAL_CARD_HEIGHT}">
+  <defs>
+    <linearGradient id="shade" x1="0" y1="0" x2="0" y2="1">
+      <stop offset="0.3" stop-color="#120e08" stop-opacity="0" />
+      <stop offset="1" stop-color="#120e08" stop-opacity="0.85" />
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#shade)" />
+  <g font-family="Georgia, 'DejaVu Serif', serif">
+    <text x="64" y="84" font-size="24" letter-spacing="4" fill="#f3f1ec" fill-opacity="0.85">${escapeXml(SITE_TITLE.toUpperCase())}</text>
+    ${textNodes}
+  </g>
+</svg>`;
+}
+
+function collectSocialCardJobs(cards) {
+  const jobs = [];
+  let skipped = 0;
+  cards.forEach((card) => {
+    const target = socialCardFile(card.key);
+    const sourceStat = fs.statSync(card.sourcePath);
+    const fingerprint = hashContent(
+      JSON.stringify([SOCIAL_CARD_VERSION, card.sourcePath, sourceFingerprint(sourceStat), SITE_TITLE, card.title, card.subtitle, card.meta])
+    );
+    if (buildCache.cards[card.key] === fingerprint && fs.existsSync(target)) {
+      skipped += 1;
+      return;
+    }
+    jobs.push({
+      kind: 'card',
+      target,
+      run: async () => {
+        try {
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          await sharp(card.sourcePath)
+            .rotate()
+            .resize(SOCIAL_CARD_WIDTH, SOCIAL_CARD_HEIGHT, { fit: 'cover', position: sharp.strategy.attention })
+            .composite([{ input: Buffer.from(renderSocialCardOverlay(card)), top: 0, left: 0 }])
+            .jpeg({ quality: 82, mozjpeg: true })
+            .toFile(target);
+          buildCache.cards[card.key] = fingerprint;
+          return 'created';
+        } catch (error) {
+          if (fs.existsSync(target)) {
+            fs.rmSync(target);
+          }
+          delete buildCache.cards[card.key];
+          console.warn(`Social card: failed to generate ${card.key}.`, error.message || error);
+          return 'failed';
+        }
+      }
+    });
+  });
+  return { jobs, skipped };
+}
+
+function pruneSocialCards(cards) {
+  const cardDir = path.join(SITE_DIR, 'cards');
+  const expected = new Set(cards.map((card) => socialCardFile(card.key)));
+  Object.keys(buildCache.cards).forEach((key) => {
+    if (!expected.has(socialCardFile(key))) {
+      delete buildCache.cards[key];
+    }
+  });
+  if (!fs.existsSync(cardDir)) {
+    return 0;
   }
+  let removed = 0;
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+        return;
+      }
+      if (!expected.has(entryPath)) {
+        fs.unlinkSync(entryPath);
+        removed += 1;
+      }
+    });
+  };
+  walk(cardDir);
+  return removed;
 }
 
 function formatBytes(bytes) {
@@ -254,35 +903,93 @@ function formatDisplayTime(date) {
   }).format(date);
 }
 
-function toLocalDayKey(date) {
-  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+const timeZoneCache = new Map();
+
+function resolveTimeZone(gps) {
+  const key = gps ? geocodeKey(gps.lat, gps.lon) : null;
+  if (!key) {
     return null;
   }
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+  if (!timeZoneCache.has(key)) {
+    let timeZone = null;
+    try {
+      timeZone = findTimeZones(gps.lat, gps.lon)[0] || null;
+    } catch (error) {
+      timeZone = null;
+    }
+    timeZoneCache.set(key, timeZone);
+  }
+  return timeZoneCache.get(key);
 }
 
-function formatDisplayDateLocal(date) {
-  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
-    return 'Unknown';
+function zonedWallClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+function zoneOffsetMinutes(timeZone, instantMs) {
+  const wholeSeconds = Math.floor(instantMs / 1000) * 1000;
+  return Math.round((Date.parse(`${zonedWallClock(new Date(wholeSeconds), timeZone)}Z`) - wholeSeconds) / 60000);
+}
+
+function formatUtcOffset(minutes) {
+  const absolute = Math.abs(minutes);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+// Date whose UTC fields read as the given wall clock, for the UTC formatters above.
+function wallClockDate(wallClock) {
+  return wallClock ? normalizeExifDate(`${wallClock}Z`) : null;
+}
+
+// Naive EXIF times are the wall clock where the photo was taken, so pin them to that zone's offset.
+function localizeCaptureIso(iso, timeZone) {
+  if (!timeZone || !cameraWallClock(iso) || /(Z|[+-]\d{2}:?\d{2})$/i.test(iso)) {
+    return iso;
   }
-  return new Intl.DateTimeFormat('en-US', {
-    month: 'long',
-    day: '2-digit',
-    year: 'numeric'
-  }).format(date);
+  const guess = Date.parse(`${cameraWallClock(iso)}Z`);
+  const offset = zoneOffsetMinutes(timeZone, guess - zoneOffsetMinutes(timeZone, guess) * 60000);
+  return `${iso}${formatUtcOffset(offset)}`;
 }
 
-function formatDisplayTimeLocal(date) {
-  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
-    return 'Unknown';
+function captureWallClock(iso, timeZone) {
+  if (timeZone && /Z$/i.test(iso || '')) {
+    const date = normalizeExifDate(iso);
+    return date ? zonedWallClock(date, timeZone) : null;
   }
-  return new Intl.DateTimeFormat('en-US', {
-    hour: 'numeric',
-    minute: '2-digit'
-  }).format(date);
+  return cameraWallClock(iso);
+}
+
+// Day keys and display dates follow the photo's own clock, not the build machine's zone.
+function applyTimeZone(image) {
+  const timeZone = resolveTimeZone(image.gps) || DEFAULT_TIME_ZONE;
+  const captureDateIso = localizeCaptureIso(image.captureDateIso, timeZone);
+  const captureDateLocal = captureWallClock(captureDateIso, timeZone);
+  return {
+    ...image,
+    timeZone,
+    captureDateIso,
+    captureDateLocal,
+    captureDate: captureDateLocal ? formatDisplayDate(wallClockDate(captureDateLocal)) : image.captureDate
+  };
+}
+
+function captureDayKey(capture) {
+  return capture.captureDateLocal ? capture.captureDateLocal.slice(0, 10) : null;
 }
 
 function formatDurationMinutes(totalMinutes) {
@@ -311,328 +1018,957 @@ function haversineKm(lat1, lon1, lat2, lon2) {
   return 6371 * c;
 }
 
-function createTripsFromMapPoints(
-  mapPoints,
-  clusterRadiusKm = 30,
-  dayExtraCaptures = new Map(),
-  firstSeenDayBySpecies = {}
-) {
-  const normalizeLocationToken = (value) =>
-    String(value || '')
-      .replace(/[’‘`]/g, "'")
-      .replace(/\s+/g, ' ')
-      .trim()
-      .toLowerCase();
-  const labelQuality = (value) => {
-    const text = String(value || '');
-    const upperCount = (text.match(/[A-Z]/g) || []).length;
-    return upperCount * 10 + text.length;
+// Grid of cells at most cellKm on a side: rows are fixed bands of latitude, and each row is cut into as many
+// columns as fit at its widest, so a radius query only visits the cells the circle can reach.
+function createSpatialIndex(cellKm) {
+  const KM_PER_DEGREE = 111.32;
+  const rowDegrees = cellKm / KM_PER_DEGREE;
+  const cells = new Map();
+  const rowOf = (lat) => Math.floor((Math.min(90, Math.max(-90, lat)) + 90) / rowDegrees);
+  const columnsIn = (row) => {
+    const south = row * rowDegrees - 90;
+    const north = south + rowDegrees;
+    const widestLat = south <= 0 && north >= 0 ? 0 : Math.min(Math.abs(south), Math.abs(north), 90);
+    return Math.max(1, Math.ceil((360 * KM_PER_DEGREE * Math.cos((widestLat * Math.PI) / 180)) / cellKm));
   };
-  const isGenericAdmin = (value) => {
-    const token = normalizeLocationToken(value);
-    return (
-      token.startsWith('town of ') ||
-      token.startsWith('city of ') ||
-      token.endsWith(' county') ||
-      token.endsWith(' township')
-    );
+  const columnOf = (lon, columns) => {
+    const wrapped = (((lon + 180) % 360) + 360) % 360;
+    return Math.min(Math.floor((wrapped / 360) * columns), columns - 1);
   };
-  const TITLE_APPEND_DISTANCE_MILES = 3;
-  const KM_PER_MILE = 1.609344;
 
-  const byDay = new Map();
-  mapPoints.forEach((point) => {
-    const captureDateObj = normalizeExifDate(point.captureDateIso);
-    if (!captureDateObj) {
-      return;
-    }
-    const dayKey = toLocalDayKey(captureDateObj);
-    if (!dayKey) {
-      return;
-    }
-    if (!byDay.has(dayKey)) {
-      byDay.set(dayKey, []);
+  return {
+    insert(lat, lon, item) {
+      const row = rowOf(lat);
+      const key = `${row}:${columnOf(lon, columnsIn(row))}`;
+      if (!cells.has(key)) {
+        cells.set(key, []);
+      }
+      cells.get(key).push({ lat, lon, item });
+    },
+    near(lat, lon, radiusKm) {
+      const latDelta = radiusKm / KM_PER_DEGREE;
+      const polewardLat = Math.min(90, Math.abs(lat) + latDelta);
+      const lonDelta = polewardLat >= 90 ? 180 : latDelta / Math.cos((polewardLat * Math.PI) / 180);
+      const found = [];
+      for (let row = rowOf(lat - latDelta); row <= rowOf(lat + latDelta); row += 1) {
+        const columns = columnsIn(row);
+        const west = Math.floor(((lon - lonDelta + 180) / 360) * columns);
+        const east = Math.floor(((lon + lonDelta + 180) / 360) * columns);
+        const span = Math.min(columns, east - west + 1);
+        for (let offset = 0; offset < span; offset += 1) {
+          const column = (((west + offset) % columns) + columns) % columns;
+          (cells.get(`${row}:${column}`) || []).forEach((entry) => {
+            if (haversineKm(lat, lon, entry.lat, entry.lon) <= radiusKm) {
+              found.push(entry.item);
+            }
+          });
+        }
+      }
+      return found;
+    },
+    cells() {
+      return Array.from(cells.values(), (entries) => entries.map((entry) => entry.item));
     }
-    byDay.get(dayKey).push({ ...point, captureDateObj, dayKey });
-  });
+  };
+}
 
-  const trips = [];
+// A fixed grid (rather than random jitter) maps every point in a cell to the same spot on every build,
+// so repeat visits cannot be averaged back to the real location.
+function snapToGrid(lat, lon, cellKm) {
+  const latStep = cellKm / 111.32;
+  const cellLat = Math.max(-89.9999, Math.min(89.9999, (Math.floor(lat / latStep) + 0.5) * latStep));
+  const lonStep = Math.min(360, cellKm / (111.32 * Math.cos((cellLat * Math.PI) / 180)));
+  const cellLon = (Math.floor(lon / lonStep) + 0.5) * lonStep;
+  return { lat: Number(cellLat.toFixed(4)), lon: Number(cellLon.toFixed(4)) };
+}
 
-  Array.from(byDay.entries()).forEach(([dayKey, points]) => {
-    points.sort((a, b) => a.captureDateObj - b.captureDateObj);
-    const visited = new Array(points.length).fill(false);
+function isSensitiveSpecies(birdName) {
+  if (!SENSITIVE_SPECIES.size) {
+    return false;
+  }
+  const family = String(ebird.species?.[birdName]?.family || '').toLowerCase();
+  return SENSITIVE_SPECIES.has(birdName.toLowerCase()) || (family && SENSITIVE_SPECIES.has(family));
+}
 
-    for (let i = 0; i < points.length; i += 1) {
-      if (visited[i]) {
-        continue;
-      }
-      const queue = [i];
-      visited[i] = true;
-      const component = [];
-
-      while (queue.length) {
-        const index = queue.pop();
-        component.push(index);
-        for (let j = 0; j < points.length; j += 1) {
-          if (visited[j]) {
-            continue;
-          }
-          const distance = haversineKm(points[index].lat, points[index].lon, points[j].lat, points[j].lon);
-          if (distance <= clusterRadiusKm) {
-            visited[j] = true;
-            queue.push(j);
-          }
-        }
+// Returns 'drop', 'fuzz' or null for exact coordinates.
+function resolveLocationPrivacy(birdName, gps) {
+  const zones = PRIVACY_ZONES.filter((zone) => haversineKm(gps.lat, gps.lon, zone.lat, zone.lon) <= Number(zone.radiusKm));
+  if (zones.some((zone) => zone.action !== 'fuzz')) {
+    return 'drop';
+  }
+  if (zones.length || isSensitiveSpecies(birdName)) {
+    return 'fuzz';
+  }
+  return null;
+}
+
+function applyLocationPrivacy(birdName, image, stats) {
+  if (!image.gps) {
+    return image;
+  }
+  const action = resolveLocationPrivacy(birdName, image.gps);
+  if (action === 'drop') {
+    stats.dropped += 1;
+    // The zone and UTC offset would narrow the place down, so only the instant is kept.
+    const captured = normalizeExifDate(image.captureDateIso);
+    return { ...image, gps: null, timeZone: null, captureDateIso: captured ? captured.toISOString() : image.captureDateIso };
+  }
+  if (action === 'fuzz') {
+    stats.fuzzed += 1;
+    const exact = geocodeCache.points?.[geocodeKey(image.gps.lat, image.gps.lon)];
+    const cell = snapToGrid(image.gps.lat, image.gps.lon, LOCATION_GRID_KM);
+    return {
+      ...image,
+      gps: {
+        ...formatGps(cell.lat, cell.lon),
+        display: `${cell.lat.toFixed(2)}, ${cell.lon.toFixed(2)} (within ${LOCATION_GRID_KM} km)`,
+        approximate: true,
+        inferred: image.gps.inferred || undefined,
+        place: exact
+          ? {
+              city: exact.city || null,
+              state: exact.state || null,
+              stateCode: exact.stateCode || null,
+              country: exact.country || null,
+              countryCode: exact.countryCode || null
+            }
+          : null
       }
+    };
+  }
+  return image;
+}
 
-      const geoCaptures = component.map((index) => points[index]).sort((a, b) => a.captureDateObj - b.captureDateObj);
-      const centroid = geoCaptures.reduce(
-        (acc, capture) => {
-          acc.lat += capture.lat;
-          acc.lon += capture.lon;
-          return acc;
-        },
-        { lat: 0, lon: 0 }
-      );
-      centroid.lat /= geoCaptures.length;
-      centroid.lon /= geoCaptures.length;
-
-      const maxSpreadKm = geoCaptures.reduce((max, capture) => {
-        const distance = haversineKm(centroid.lat, centroid.lon, capture.lat, capture.lon);
-        return Math.max(max, distance);
-      }, 0);
-
-      const captures = geoCaptures.slice();
-      const extraCaptures = dayExtraCaptures.get(dayKey) || [];
-      const seenCaptureKeys = new Set(captures.map((capture) => `${capture.bird}::${capture.filename}`));
-      extraCaptures.forEach((capture) => {
-        const key = `${capture.bird}::${capture.filename}`;
-        if (seenCaptureKeys.has(key)) {
-          return;
-        }
-        const captureDateObj = normalizeExifDate(capture.captureDateIso);
-        captures.push({ ...capture, captureDateObj, dayKey });
-        seenCaptureKeys.add(key);
-      });
-      captures.sort((a, b) => a.captureDateObj - b.captureDateObj);
+function parseGpxTrack(text) {
+  const points = [];
+  const pattern = /<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g;
+  let match = pattern.exec(text);
+  while (match) {
+    const lat = Number(match[1].match(/\blat=["']([^"']+)["']/)?.[1]);
+    const lon = Number(match[1].match(/\blon=["']([^"']+)["']/)?.[1]);
+    const time = Date.parse(match[2].match(/<time>([^<]+)<\/time>/)?.[1] || '');
+    points.push({ time, lat, lon });
+    match = pattern.exec(text);
+  }
+  return points;
+}
 
-      const species = Array.from(new Set(captures.map((capture) => capture.bird))).sort((a, b) =>
-        a.localeCompare(b, 'en', { sensitivity: 'base' })
-      );
-      const parkLabelsByKey = new Map();
-      geoCaptures.forEach((capture) => {
-        const value = (capture.park || capture.site || '').trim();
-        const key = normalizeLocationToken(value);
-        if (!value || !key) {
-          return;
-        }
-        const existing = parkLabelsByKey.get(key);
-        if (!existing || labelQuality(value) > labelQuality(existing)) {
-          parkLabelsByKey.set(key, value);
+// Handles gx:Track (Google, most phone loggers) and timestamped Point placemarks.
+function parseKmlTrack(text) {
+  const points = [];
+  const trackPattern = /<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/g;
+  let match = trackPattern.exec(text);
+  while (match) {
+    const times = Array.from(match[1].matchAll(/<when>([^<]+)<\/when>/g), (entry) => Date.parse(entry[1]));
+    const coords = Array.from(match[1].matchAll(/<gx:coord>([^<]+)<\/gx:coord>/g), (entry) =>
+      entry[1].trim().split(/\s+/).map(Number)
+    );
+    times.forEach((time, index) => {
+      const [lon, lat] = coords[index] || [];
+      points.push({ time, lat, lon });
+    });
+    match = trackPattern.exec(text);
+  }
+  const placemarkPattern = /<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g;
+  match = placemarkPattern.exec(text);
+  while (match) {
+    const time = Date.parse(match[1].match(/<TimeStamp>\s*<when>([^<]+)<\/when>/)?.[1] || '');
+    const point = match[1].match(/<Point>[\s\S]*?<coordinates>([^<]+)<\/coordinates>/)?.[1];
+    if (point) {
+      const [lon, lat] = point.trim().split(',').map(Number);
+      points.push({ time, lat, lon });
+    }
+    match = placemarkPattern.exec(text);
+  }
+  return points;
+}
+
+// Minimal FIT decoder: only `record` messages (global 20) with timestamp, position_lat and position_long.
+function parseFitTrack(buffer) {
+  const headerSize = buffer.readUInt8(0);
+  if (buffer.toString('ascii', 8, 12) !== '.FIT') {
+    throw new Error('not a FIT file');
+  }
+  const end = Math.min(buffer.length, headerSize + buffer.readUInt32LE(4));
+  const definitions = new Map();
+  const points = [];
+  let offset = headerSize;
+  let lastTimestamp = 0;
+  while (offset < end) {
+    const header = buffer.readUInt8(offset);
+    offset += 1;
+    let localType;
+    let timestamp = null;
+    if (header & 0x80) {
+      localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1f;
+      timestamp = (lastTimestamp & ~0x1f) + timeOffset + (timeOffset < (lastTimestamp & 0x1f) ? 0x20 : 0);
+    } else if (header & 0x40) {
+      const littleEndian = buffer.readUInt8(offset + 1) === 0;
+      const globalNumber = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer.readUInt8(offset + 4);
+      offset += 5;
+      const fields = [];
+      for (let index = 0; index < fieldCount; index += 1) {
+        fields.push({ number: buffer.readUInt8(offset), size: buffer.readUInt8(offset + 1) });
+        offset += 3;
+      }
+      let developerSize = 0;
+      if (header & 0x20) {
+        const developerCount = buffer.readUInt8(offset);
+        offset += 1;
+        for (let index = 0; index < developerCount; index += 1) {
+          developerSize += buffer.readUInt8(offset + 1);
+          offset += 3;
         }
-      });
-      const parkEntries = Array.from(parkLabelsByKey.values()).map((label) => {
-        const normalized = normalizeLocationToken(label);
-        const matches = geoCaptures.filter(
-          (capture) => normalizeLocationToken(capture.park || capture.site || '') === normalized
-        );
-        const centroid = matches.reduce(
-          (acc, capture) => {
-            acc.lat += capture.lat;
-            acc.lon += capture.lon;
-            return acc;
-          },
-          { lat: 0, lon: 0 }
+      }
+      definitions.set(header & 0x0f, { littleEndian, globalNumber, fields, developerSize });
+      continue;
+    } else {
+      localType = header & 0x0f;
+    }
+    const definition = definitions.get(localType);
+    if (!definition) {
+      throw new Error(`missing definition for local message ${localType}`);
+    }
+    const values = {};
+    definition.fields.forEach((field) => {
+      if (field.size === 4) {
+        values[field.number] = definition.littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+      }
+      offset += field.size;
+    });
+    offset += definition.developerSize;
+    if (values[253] !== undefined) {
+      timestamp = values[253] >>> 0;
+    }
+    if (timestamp !== null) {
+      lastTimestamp = timestamp;
+    }
+    if (definition.globalNumber === 20 && timestamp !== null && values[0] !== 0x7fffffff && values[1] !== 0x7fffffff) {
+      const semicircles = 180 / 2 ** 31;
+      points.push({ time: FIT_EPOCH_MS + timestamp * 1000, lat: values[0] * semicircles, lon: values[1] * semicircles });
+    }
+  }
+  return points;
+}
+
+function loadTrackPoints() {
+  if (!fs.existsSync(TRACKS_DIR)) {
+    return [];
+  }
+  const parsers = { '.gpx': parseGpxTrack, '.kml': parseKmlTrack };
+  const points = [];
+  let fileCount = 0;
+  fs.readdirSync(TRACKS_DIR)
+    .filter((filename) => /\.(gpx|kml|fit)$/i.test(filename))
+    .forEach((filename) => {
+      const filePath = path.join(TRACKS_DIR, filename);
+      const ext = path.extname(filename).toLowerCase();
+      try {
+        const parsed = ext === '.fit' ? parseFitTrack(fs.readFileSync(filePath)) : parsers[ext](fs.readFileSync(filePath, 'utf8'));
+        const valid = parsed.filter(
+          (point) => Number.isFinite(point.time) && Number.isFinite(point.lat) && Number.isFinite(point.lon)
         );
-        centroid.lat /= matches.length || 1;
-        centroid.lon /= matches.length || 1;
-        return {
-          label,
-          normalized,
-          count: matches.length,
-          centroid
-        };
-      });
-      parkEntries.sort((a, b) => b.count - a.count || labelQuality(b.label) - labelQuality(a.label));
-
-      const parks = [];
-      const selectedParkCentroids = [];
-      parkEntries.forEach((entry) => {
-        if (parks.length < 2) {
-          parks.push(entry.label);
-          selectedParkCentroids.push(entry.centroid);
-          return;
-        }
-        const minMiles = selectedParkCentroids.reduce((min, center) => {
-          const miles = haversineKm(entry.centroid.lat, entry.centroid.lon, center.lat, center.lon) / KM_PER_MILE;
-          return Math.min(min, miles);
-        }, Number.POSITIVE_INFINITY);
-        if (minMiles >= TITLE_APPEND_DISTANCE_MILES) {
-          parks.push(entry.label);
-          selectedParkCentroids.push(entry.centroid);
-        }
-      });
-      const cities = [];
-      geoCaptures.forEach((capture) => {
-        const value = (capture.city || '').trim();
-        if (value && !cities.includes(value)) {
-          cities.push(value);
+        points.push(...valid);
+        fileCount += 1;
+      } catch (error) {
+        console.warn(`Track log: failed to read ${filename}.`, error.message || error);
+      }
+    });
+  points.sort((a, b) => a.time - b.time);
+  if (fileCount) {
+    console.log(`Track logs: ${points.length} point${points.length === 1 ? '' : 's'} from ${fileCount} file${fileCount === 1 ? '' : 's'}.`);
+  }
+  return points;
+}
+
+// Index of the first track point at or after the given time.
+function trackIndexAt(trackPoints, time) {
+  let low = 0;
+  let high = trackPoints.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (trackPoints[mid].time < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+function nearestTrackPoint(trackPoints, time) {
+  const index = trackIndexAt(trackPoints, time);
+  return (
+    [trackPoints[index - 1], trackPoints[index]]
+      .filter(Boolean)
+      .sort((a, b) => Math.abs(a.time - time) - Math.abs(b.time - time))[0] || null
+  );
+}
+
+// Interpolates between the track points on either side of the capture when both are within the max gap,
+// otherwise uses whichever one is close enough.
+function locateOnTrack(trackPoints, time) {
+  const low = trackIndexAt(trackPoints, time);
+  const after = trackPoints[low] && trackPoints[low].time - time <= TRACK_MAX_GAP_MS ? trackPoints[low] : null;
+  const before = trackPoints[low - 1] && time - trackPoints[low - 1].time <= TRACK_MAX_GAP_MS ? trackPoints[low - 1] : null;
+  if (before && after && after.time > before.time) {
+    const ratio = (time - before.time) / (after.time - before.time);
+    return { lat: before.lat + (after.lat - before.lat) * ratio, lon: before.lon + (after.lon - before.lon) * ratio };
+  }
+  return after || before;
+}
+
+function applyTrackLog(image, trackPoints, stats) {
+  if (image.gps || !trackPoints.length) {
+    return image;
+  }
+  const iso = image.captureDateIso || image.captureDateRaw;
+  const wallClock = cameraWallClock(iso);
+  const locateAt = (captured) => (captured ? locateOnTrack(trackPoints, captured.getTime() + TRACK_CLOCK_OFFSET_MS) : null);
+  let position = null;
+  if (wallClock && !/(Z|[+-]\d{2}:?\d{2})$/i.test(iso)) {
+    // A naive EXIF time is the wall clock where the photo was taken: read it in the zone of the track near the
+    // UTC guess, then again in the zone of the point it lands on if that differs.
+    let timeZone = resolveTimeZone(nearestTrackPoint(trackPoints, Date.parse(`${wallClock}Z`))) || DEFAULT_TIME_ZONE;
+    for (let pass = 0; pass < 2 && timeZone; pass += 1) {
+      position = locateAt(normalizeExifDate(localizeCaptureIso(wallClock, timeZone)));
+      const placedZone = position ? resolveTimeZone(position) : null;
+      timeZone = placedZone && placedZone !== timeZone ? placedZone : null;
+    }
+  } else {
+    position = locateAt(normalizeExifDate(iso));
+  }
+  if (!position) {
+    return image;
+  }
+  stats.inferred += 1;
+  const gps = formatGps(Number(position.lat.toFixed(6)), Number(position.lon.toFixed(6)));
+  return { ...image, gps: { ...gps, inferred: true } };
+}
+
+// fetch-data.js reads this to reverse-geocode positions that only exist in track logs.
+function writeTrackGeotags(geotags) {
+  if (!Object.keys(geotags).length) {
+    fs.rmSync(TRACK_GEOTAGS_PATH, { force: true });
+    return;
+  }
+  const serialized = JSON.stringify(geotags, null, 2);
+  if (fs.existsSync(TRACK_GEOTAGS_PATH) && fs.readFileSync(TRACK_GEOTAGS_PATH, 'utf8') === serialized) {
+    return;
+  }
+  fs.writeFileSync(TRACK_GEOTAGS_PATH, serialized);
+}
+
+// Lists corrected photos that land on another day or trip than the camera clock alone would give.
+function writeClockOffsetReport(birds, mapPoints, trips, dayExtraCaptures, firstSeenDayBySpecies) {
+  const cameraTimeByKey = new Map();
+  birds.forEach((bird) => {
+    bird.images.forEach((image) => {
+      if (image.clockOffsetSeconds && image.captureDateIso) {
+        cameraTimeByKey.set(`${bird.name}/${image.filename}`, {
+          captureDateIso: shiftCaptureDate(image.captureDateIso, -image.clockOffsetSeconds),
+          captureDateLocal: shiftCaptureDate(image.captureDateLocal, -image.clockOffsetSeconds)
+        });
+      }
+    });
+  });
+  if (!cameraTimeByKey.size) {
+    fs.rmSync(CLOCK_REPORT_PATH, { force: true });
+    return;
+  }
+  const atCameraTime = (capture) => {
+    const cameraTime = cameraTimeByKey.get(`${capture.bird}/${capture.filename}`);
+    return cameraTime ? { ...capture, ...cameraTime } : capture;
+  };
+  const cameraExtras = new Map();
+  Array.from(dayExtraCaptures.values())
+    .flat()
+    .map(atCameraTime)
+    .forEach((capture) => {
+      const dayKey = captureDayKey(capture);
+      if (!dayKey) {
+        return;
+      }
+      if (!cameraExtras.has(dayKey)) {
+        cameraExtras.set(dayKey, []);
+      }
+      cameraExtras.get(dayKey).push(capture);
+    });
+  const cameraTrips = buildTrips(
+    applyTripOverrides(groupTripCaptures(mapPoints.map(atCameraTime))),
+    cameraExtras,
+    firstSeenDayBySpecies
+  );
+  const tripIdsByKey = (list) =>
+    new Map(list.flatMap((trip) => trip.images.map((image) => [`${image.bird}/${image.filename}`, trip.id])));
+  const before = tripIdsByKey(cameraTrips);
+  const after = tripIdsByKey(trips);
+  const corrected = new Map(
+    birds.flatMap((bird) => bird.images.map((image) => [`${bird.name}/${image.filename}`, image]))
+  );
+  const lines = Array.from(cameraTimeByKey.entries())
+    .map(([key, cameraTime]) => {
+      const dayBefore = captureDayKey(cameraTime);
+      const dayAfter = captureDayKey(corrected.get(key));
+      const tripBefore = before.get(key) || 'no trip';
+      const tripAfter = after.get(key) || 'no trip';
+      if (dayBefore === dayAfter && tripBefore === tripAfter) {
+        return null;
+      }
+      return [
+        key,
+        `camera ${cameraTime.captureDateIso}`,
+        `corrected ${corrected.get(key).captureDateIso}`,
+        `day ${dayBefore} -> ${dayAfter}`,
+        `trip ${tripBefore} -> ${tripAfter}`
+      ].join('\t');
+    })
+    .filter(Boolean)
+    .sort();
+  console.log(
+    `Camera clocks: corrected ${cameraTimeByKey.size} photo${cameraTimeByKey.size === 1 ? '' : 's'}; ${lines.length} changed day or trip${
+      lines.length ? ` (see ${path.relative(ROOT, CLOCK_REPORT_PATH)})` : ''
+    }.`
+  );
+  if (!lines.length) {
+    fs.rmSync(CLOCK_REPORT_PATH, { force: true });
+    return;
+  }
+  fs.writeFileSync(CLOCK_REPORT_PATH, `${lines.join('\n')}\n`);
+}
+
+// Generalized points only keep their city and region; park and site names would give the spot away.
+function lookupLocation(gps) {
+  if (!gps) {
+    return null;
+  }
+  if (gps.approximate) {
+    return gps.place ? { ...gps.place, label: [gps.place.city, gps.place.state].filter(Boolean).join(', ') || null } : null;
+  }
+  return geocodeCache.points?.[geocodeKey(gps.lat, gps.lon)] || null;
+}
+
+function tripCaptureKey(capture) {
+  return `${capture.bird}/${capture.filename}`;
+}
+
+// Single-link clustering in space and time. Same-day captures within the radius join, and so do back-to-back
+// captures (the drive between hotspots) and overnight hops that stay within the radius, so trips can span days.
+function groupTripCaptures(mapPoints) {
+  const points = mapPoints
+    .map((point) => ({ ...point, captureDateObj: normalizeExifDate(point.captureDateIso), dayKey: captureDayKey(point) }))
+    .filter((point) => point.captureDateObj && point.dayKey)
+    .sort((a, b) => a.captureDateObj - b.captureDateObj);
+  const parent = points.map((_, index) => index);
+  const findRoot = (index) => {
+    let root = index;
+    while (parent[root] !== root) {
+      parent[root] = parent[parent[root]];
+      root = parent[root];
+    }
+    return root;
+  };
+  const link = (a, b) => {
+    parent[findRoot(a)] = findRoot(b);
+  };
+  const isNearby = (a, b) => haversineKm(a.lat, a.lon, b.lat, b.lon) <= TRIP_CLUSTER_RADIUS_KM;
+  // Back-to-back captures join only when the distance between them could be driven in the time between them.
+  const isReachable = (a, b, gap) =>
+    haversineKm(a.lat, a.lon, b.lat, b.lon) <= Math.max(TRIP_CLUSTER_RADIUS_KM, (TRIP_LINK_SPEED_KMH * gap) / 3600000);
+
+  // Bursts from one spot collapse into a single site first, so each day only compares distinct places.
+  const siteCellKm = Math.min(TRIP_SITE_CELL_KM, TRIP_CLUSTER_RADIUS_KM / 2);
+  // Any photo of a site is within one cell diagonal of its first photo, so two sites can hold a pair of photos
+  // within the radius only when their first photos are within the radius plus two diagonals.
+  const siteReachKm = TRIP_CLUSTER_RADIUS_KM + 2 * Math.SQRT2 * siteCellKm;
+  const sitesByDay = new Map();
+  points.forEach((point, index) => {
+    if (!sitesByDay.has(point.dayKey)) {
+      sitesByDay.set(point.dayKey, createSpatialIndex(siteCellKm));
+    }
+    sitesByDay.get(point.dayKey).insert(point.lat, point.lon, index);
+  });
+  sitesByDay.forEach((siteIndex) => {
+    const nearbyIndex = createSpatialIndex(TRIP_CLUSTER_RADIUS_KM);
+    siteIndex.cells().forEach((indexes) => {
+      indexes.slice(1).forEach((index) => link(indexes[0], index));
+      const site = points[indexes[0]];
+      nearbyIndex.near(site.lat, site.lon, siteReachKm).forEach((other) => {
+        if (
+          findRoot(indexes[0]) !== findRoot(other[0]) &&
+          indexes.some((index) => other.some((otherIndex) => isNearby(points[index], points[otherIndex])))
+        ) {
+          link(indexes[0], other[0]);
         }
       });
-      const cityEntriesByKey = new Map();
-      geoCaptures.forEach((capture) => {
-        const label = (capture.city || '').trim();
-        const key = normalizeLocationToken(label);
-        if (!label || !key || isGenericAdmin(label)) {
-          return;
+      nearbyIndex.insert(site.lat, site.lon, indexes);
+    });
+  });
+  for (let index = 1; index < points.length; index += 1) {
+    const gap = points[index].captureDateObj - points[index - 1].captureDateObj;
+    if (
+      (gap <= TRIP_LINK_GAP_MS && isReachable(points[index - 1], points[index], gap)) ||
+      (gap <= TRIP_OVERNIGHT_MS && isNearby(points[index - 1], points[index]))
+    ) {
+      link(index - 1, index);
+    }
+  }
+
+  const groups = new Map();
+  points.forEach((point, index) => {
+    const root = findRoot(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(point);
+  });
+  return assignTripIds(Array.from(groups.values()).map((captures) => ({ captures })));
+}
+
+// A trip keeps the id of the previous build's trip it shares the most photos with,
+// so links, curation and overrides survive new photos and re-clustering.
+function assignTripIds(groups) {
+  const previousIdByKey = new Map();
+  Object.entries(tripIdRegistry).forEach(([id, keys]) => {
+    (Array.isArray(keys) ? keys : []).forEach((key) => previousIdByKey.set(key, id));
+  });
+  const candidates = [];
+  groups.forEach((group, groupIndex) => {
+    const overlaps = new Map();
+    group.captures.forEach((capture) => {
+      const id = previousIdByKey.get(tripCaptureKey(capture));
+      if (id) {
+        overlaps.set(id, (overlaps.get(id) || 0) + 1);
+      }
+    });
+    overlaps.forEach((overlap, id) => candidates.push({ groupIndex, id, overlap }));
+  });
+  candidates.sort((a, b) => b.overlap - a.overlap || a.id.localeCompare(b.id));
+
+  const ids = new Array(groups.length).fill(null);
+  const taken = new Set();
+  candidates.forEach(({ groupIndex, id }) => {
+    if (ids[groupIndex] || taken.has(id)) {
+      return;
+    }
+    ids[groupIndex] = id;
+    taken.add(id);
+  });
+  return groups.map((group, groupIndex) => {
+    if (ids[groupIndex]) {
+      return { ...group, id: ids[groupIndex] };
+    }
+    const { locationTitle, centroid } = describeTripLocation(group.captures);
+    const base = buildTripSlug(group.captures[0].dayKey, locationTitle, centroid);
+    let id = base;
+    for (let suffix = 2; taken.has(id); suffix += 1) {
+      id = `${base}-${suffix}`;
+    }
+    taken.add(id);
+    return { ...group, id };
+  });
+}
+
+function writePhotoSlugs() {
+  const registry = {};
+  Object.keys(assignedPhotoSlugs)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach((birdName) => {
+      registry[birdName] = assignedPhotoSlugs[birdName];
+    });
+  const serialized = JSON.stringify(registry, null, 2);
+  if (fs.existsSync(PHOTO_SLUGS_PATH) && fs.readFileSync(PHOTO_SLUGS_PATH, 'utf8') === serialized) {
+    return;
+  }
+  fs.writeFileSync(PHOTO_SLUGS_PATH, serialized);
+}
+
+function writeTripIds(groups) {
+  const registry = {};
+  groups
+    .slice()
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .forEach((group) => {
+      registry[group.id] = group.captures.map(tripCaptureKey).sort();
+    });
+  const serialized = JSON.stringify(registry, null, 2);
+  if (fs.existsSync(TRIP_IDS_PATH) && fs.readFileSync(TRIP_IDS_PATH, 'utf8') === serialized) {
+    return;
+  }
+  fs.writeFileSync(TRIP_IDS_PATH, serialized);
+}
+
+// Splits run first so their parts (`<id>-2`, `<id>-3`, ...) can be merged, renamed and described too.
+function applyTripOverrides(groups) {
+  const overrides = tripOverrides.trips || {};
+  const pieces = groups.flatMap((group) => {
+    const boundaries = (Array.isArray(overrides[group.id]?.splitAt) ? overrides[group.id].splitAt : [])
+      .map((value) => wallClockBound(value, false))
+      .filter(Boolean)
+      .sort();
+    if (!boundaries.length) {
+      return [group];
+    }
+    return [null, ...boundaries]
+      .map((start, index) => ({
+        id: index ? `${group.id}-${index + 1}` : group.id,
+        captures: group.captures.filter(
+          (capture) =>
+            (!start || capture.captureDateLocal >= start) &&
+            (index === boundaries.length || capture.captureDateLocal < boundaries[index])
+        )
+      }))
+      .filter((piece) => piece.captures.length);
+  });
+
+  const byId = new Map(pieces.map((piece) => [piece.id, { ...piece, captures: piece.captures.slice(), mergedIds: [] }]));
+  const mergedInto = new Map();
+  const resolve = (id) => (mergedInto.has(id) ? resolve(mergedInto.get(id)) : id);
+  Array.from(byId.keys()).forEach((id) => {
+    (Array.isArray(overrides[id]?.merge) ? overrides[id].merge : []).forEach((sourceId) => {
+      const targetId = resolve(id);
+      if (!byId.has(sourceId) || mergedInto.has(sourceId) || resolve(sourceId) === targetId) {
+        return;
+      }
+      const target = byId.get(targetId);
+      const source = byId.get(sourceId);
+      target.captures.push(...source.captures);
+      target.mergedIds.push(sourceId, ...source.mergedIds);
+      mergedInto.set(sourceId, targetId);
+    });
+  });
+
+  return Array.from(byId.values())
+    .filter((group) => !mergedInto.has(group.id))
+    .map((group) => ({
+      ...group,
+      captures: group.captures.sort((a, b) => a.captureDateObj - b.captureDateObj),
+      title: String(overrides[group.id]?.title || '').trim() || null,
+      description: String(overrides[group.id]?.description || '').trim() || null
+    }));
+}
+
+function warnUnknownTripOverrides(groups, trips) {
+  const known = new Set([...groups.map((group) => group.id), ...trips.flatMap((trip) => [trip.id, ...trip.mergedIds])]);
+  Object.entries(tripOverrides.trips || {}).forEach(([tripId, entry]) => {
+    if (!known.has(tripId)) {
+      console.warn(`Trip overrides: trip ${tripId} does not exist.`);
+    }
+    (Array.isArray(entry?.merge) ? entry.merge : []).forEach((sourceId) => {
+      if (!known.has(sourceId)) {
+        console.warn(`Trip overrides: cannot merge unknown trip ${sourceId} into ${tripId}.`);
+      }
+    });
+  });
+}
+
+function normalizeLocationToken(value) {
+  return String(value || '')
+    .replace(/[’‘`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function describeTripLocation(geoCaptures) {
+  const labelQuality = (value) => {
+    const text = String(value || '');
+    const upperCount = (text.match(/[A-Z]/g) || []).length;
+    return upperCount * 10 + text.length;
+  };
+  const isGenericAdmin = (value) => {
+    const token = normalizeLocationToken(value);
+    return (
+      token.startsWith('town of ') ||
+      token.startsWith('city of ') ||
+      token.endsWith(' county') ||
+      token.endsWith(' township')
+    );
+  };
+  const TITLE_APPEND_DISTANCE_MILES = 3;
+  const KM_PER_MILE = 1.609344;
+
+  const centroid = geoCaptures.reduce(
+    (acc, capture) => {
+      acc.lat += capture.lat;
+      acc.lon += capture.lon;
+      return acc;
+    },
+    { lat: 0, lon: 0 }
+  );
+  centroid.lat /= geoCaptures.length;
+  centroid.lon /= geoCaptures.length;
+
+  const maxSpreadKm = geoCaptures.reduce((max, capture) => {
+    const distance = haversineKm(centroid.lat, centroid.lon, capture.lat, capture.lon);
+    return Math.max(max, distance);
+  }, 0);
+
+  const parkEntriesByKey = new Map();
+  geoCaptures.forEach((capture) => {
+    const value = (capture.park || capture.site || '').trim();
+    const key = normalizeLocationToken(value);
+    if (!value || !key) {
+      return;
+    }
+    const current = parkEntriesByKey.get(key) || { label: value, normalized: key, count: 0, latSum: 0, lonSum: 0 };
+    current.count += 1;
+    current.latSum += capture.lat;
+    current.lonSum += capture.lon;
+    if (labelQuality(value) > labelQuality(current.label)) {
+      current.label = value;
+    }
+    parkEntriesByKey.set(key, current);
+  });
+  const parkEntries = Array.from(parkEntriesByKey.values()).map((entry) => ({
+    label: entry.label,
+    normalized: entry.normalized,
+    count: entry.count,
+    centroid: { lat: entry.latSum / entry.count, lon: entry.lonSum / entry.count }
+  }));
+  parkEntries.sort((a, b) => b.count - a.count || labelQuality(b.label) - labelQuality(a.label));
+
+  const parks = [];
+  const selectedParkCentroids = [];
+  parkEntries.forEach((entry) => {
+    if (parks.length < 2) {
+      parks.push(entry.label);
+      selectedParkCentroids.push(entry.centroid);
+      return;
+    }
+    const minMiles = selectedParkCentroids.reduce((min, center) => {
+      const miles = haversineKm(entry.centroid.lat, entry.centroid.lon, center.lat, center.lon) / KM_PER_MILE;
+      return Math.min(min, miles);
+    }, Number.POSITIVE_INFINITY);
+    if (minMiles >= TITLE_APPEND_DISTANCE_MILES) {
+      parks.push(entry.label);
+      selectedParkCentroids.push(entry.centroid);
+    }
+  });
+  const cities = new Set();
+  const cityEntriesByKey = new Map();
+  geoCaptures.forEach((capture) => {
+    const label = (capture.city || '').trim();
+    if (label) {
+      cities.add(label);
+    }
+    const key = normalizeLocationToken(label);
+    if (!label || !key || isGenericAdmin(label)) {
+      return;
+    }
+    const current = cityEntriesByKey.get(key) || { label, normalized: key, count: 0, latSum: 0, lonSum: 0 };
+    current.count += 1;
+    current.latSum += capture.lat;
+    current.lonSum += capture.lon;
+    if (labelQuality(label) > labelQuality(current.label)) {
+      current.label = label;
+    }
+    cityEntriesByKey.set(key, current);
+  });
+  const cityEntries = Array.from(cityEntriesByKey.values()).map((entry) => ({
+    label: entry.label,
+    normalized: entry.normalized,
+    centroid: { lat: entry.latSum / entry.count, lon: entry.lonSum / entry.count },
+    count: entry.count
+  }));
+  cityEntries.sort((a, b) => b.count - a.count || labelQuality(b.label) - labelQuality(a.label));
+  const locations = Array.from(
+    new Set(
+      geoCaptures.map((capture) => {
+        if (capture.locationLabel) {
+          return capture.locationLabel;
         }
-        const current = cityEntriesByKey.get(key) || { label, points: [] };
-        current.points.push(capture);
-        if (labelQuality(label) > labelQuality(current.label)) {
-          current.label = label;
+        const parts = [capture.city, capture.state, capture.country].filter(Boolean);
+        return parts.join(', ') || `${capture.lat.toFixed(3)}, ${capture.lon.toFixed(3)}`;
+      })
+    )
+  );
+
+  const titleLabels = parks.slice();
+  const titleCenters = selectedParkCentroids.slice();
+  if (titleLabels.length) {
+    cityEntries.forEach((entry) => {
+      if (titleLabels.length >= 4) {
+        return;
+      }
+      if (titleLabels.some((label) => normalizeLocationToken(label) === entry.normalized)) {
+        return;
+      }
+      const minMiles = titleCenters.reduce((min, center) => {
+        const miles = haversineKm(entry.centroid.lat, entry.centroid.lon, center.lat, center.lon) / KM_PER_MILE;
+        return Math.min(min, miles);
+      }, Number.POSITIVE_INFINITY);
+      if (minMiles >= TITLE_APPEND_DISTANCE_MILES) {
+        titleLabels.push(entry.label);
+        titleCenters.push(entry.centroid);
+      }
+    });
+  }
+
+  const preferredTitleLabels = titleLabels.filter((label) => !isGenericAdmin(label));
+  const displayTitleLabels = preferredTitleLabels.length ? preferredTitleLabels : titleLabels;
+  const locationTitle = displayTitleLabels.length
+    ? displayTitleLabels.join(', ')
+    : parks.length
+    ? parks.slice(0, 2).join(', ')
+    : cities.size
+      ? Array.from(cities).slice(0, 2).join(', ')
+    : locations[0] || `${centroid.lat.toFixed(3)}, ${centroid.lon.toFixed(3)}`;
+
+  return { locationTitle, locations, centroid, maxSpreadKm };
+}
+
+function buildTrips(groups, dayExtraCaptures = new Map(), firstSeenDayBySpecies = {}) {
+  // Photos without GPS join the trip covering their day whose captures are closest in time.
+  const extrasByGroup = new Map(groups.map((group) => [group, []]));
+  const seenCaptureKeys = new Set(groups.flatMap((group) => group.captures.map(tripCaptureKey)));
+  dayExtraCaptures.forEach((extraCaptures, dayKey) => {
+    const candidates = groups.filter(
+      (group) => group.captures[0].dayKey <= dayKey && group.captures[group.captures.length - 1].dayKey >= dayKey
+    );
+    extraCaptures.forEach((capture) => {
+      const key = tripCaptureKey(capture);
+      const captureDateObj = normalizeExifDate(capture.captureDateIso);
+      if (!candidates.length || seenCaptureKeys.has(key) || !captureDateObj) {
+        return;
+      }
+      const distanceInTime = (group) => {
+        const { captures } = group;
+        let low = 0;
+        let high = captures.length;
+        while (low < high) {
+          const mid = (low + high) >> 1;
+          if (captures[mid].captureDateObj < captureDateObj) {
+            low = mid + 1;
+          } else {
+            high = mid;
+          }
         }
-        cityEntriesByKey.set(key, current);
-      });
-      const cityEntries = Array.from(cityEntriesByKey.values()).map((entry) => {
-        const centroid = entry.points.reduce(
-          (acc, point) => {
-            acc.lat += point.lat;
-            acc.lon += point.lon;
-            return acc;
-          },
-          { lat: 0, lon: 0 }
-        );
-        centroid.lat /= entry.points.length || 1;
-        centroid.lon /= entry.points.length || 1;
-        return {
-          label: entry.label,
-          normalized: normalizeLocationToken(entry.label),
-          centroid,
-          count: entry.points.length
-        };
-      });
-      cityEntries.sort((a, b) => b.count - a.count || labelQuality(b.label) - labelQuality(a.label));
-      const locations = Array.from(
-        new Set(
-          geoCaptures.map((capture) => {
-            if (capture.locationLabel) {
-              return capture.locationLabel;
-            }
-            const parts = [capture.city, capture.state, capture.country].filter(Boolean);
-            return parts.join(', ') || `${capture.lat.toFixed(3)}, ${capture.lon.toFixed(3)}`;
-          })
-        )
-      );
+        const after = captures[low] ? captures[low].captureDateObj - captureDateObj : Number.POSITIVE_INFINITY;
+        const before = captures[low - 1] ? captureDateObj - captures[low - 1].captureDateObj : Number.POSITIVE_INFINITY;
+        return Math.min(after, before);
+      };
+      const closest = candidates.reduce((best, group) => (distanceInTime(group) < distanceInTime(best) ? group : best));
+      extrasByGroup.get(closest).push({ ...capture, captureDateObj, dayKey });
+      seenCaptureKeys.add(key);
+    });
+  });
 
-      const firstCapture = captures[0];
-      const lastCapture = captures[captures.length - 1];
-      const durationMinutes = Math.max(0, Math.round((lastCapture.captureDateObj - firstCapture.captureDateObj) / 60000));
-      const durationLabel = formatDurationMinutes(durationMinutes);
-      const dateLabel = formatDisplayDateLocal(firstCapture.captureDateObj);
-      const timeRange = `${formatDisplayTimeLocal(firstCapture.captureDateObj)} - ${formatDisplayTimeLocal(lastCapture.captureDateObj)} local`;
-      const speciesCounts = captures.reduce((acc, capture) => {
-        acc[capture.bird] = (acc[capture.bird] || 0) + 1;
+  const trips = groups.map((group) => {
+    const geoCaptures = group.captures;
+    const captures = geoCaptures.concat(extrasByGroup.get(group)).sort((a, b) => a.captureDateObj - b.captureDateObj);
+    const { locationTitle, locations, centroid, maxSpreadKm } = describeTripLocation(geoCaptures);
+    const dayKeys = Array.from(new Set(captures.map((capture) => capture.dayKey))).sort();
+
+    const species = Array.from(new Set(captures.map((capture) => capture.bird))).sort((a, b) =>
+      a.localeCompare(b, 'en', { sensitivity: 'base' })
+    );
+    const firstCapture = captures[0];
+    const lastCapture = captures[captures.length - 1];
+    const firstLocal = wallClockDate(firstCapture.captureDateLocal);
+    const lastLocal = wallClockDate(lastCapture.captureDateLocal);
+    const durationMinutes = Math.max(0, Math.round((lastCapture.captureDateObj - firstCapture.captureDateObj) / 60000));
+    const daySpan =
+      Math.round((Date.parse(`${dayKeys[dayKeys.length - 1]}T00:00:00Z`) - Date.parse(`${dayKeys[0]}T00:00:00Z`)) / 86400000) + 1;
+    const durationLabel = daySpan > 1 ? `${daySpan} days` : formatDurationMinutes(durationMinutes);
+    const dateLabel =
+      dayKeys.length > 1
+        ? `${formatDisplayDate(firstLocal)} – ${formatDisplayDate(lastLocal)}`
+        : formatDisplayDate(firstLocal);
+    const timeRange =
+      dayKeys.length > 1
+        ? `${formatDisplayDate(firstLocal)} ${formatDisplayTime(firstLocal)} - ${formatDisplayDate(lastLocal)} ${formatDisplayTime(
+            lastLocal
+          )} local`
+        : `${formatDisplayTime(firstLocal)} - ${formatDisplayTime(lastLocal)} local`;
+    const speciesCounts = captures.reduce((acc, capture) => {
+      acc[capture.bird] = (acc[capture.bird] || 0) + 1;
+      return acc;
+    }, {});
+    const topSpeciesEntry = Object.entries(speciesCounts).sort(
+      (a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'en', { sensitivity: 'base' })
+    )[0];
+    const topSpeciesLabel = topSpeciesEntry ? `${topSpeciesEntry[0]} (${topSpeciesEntry[1]})` : 'Unknown';
+    const newSpecies = species.filter((name) => dayKeys.includes(firstSeenDayBySpecies[name]));
+    const hasNewSpecies = newSpecies.length > 0;
+    const newSpeciesLabel = hasNewSpecies ? newSpecies.join(', ') : 'None';
+    const countByValue = (items) =>
+      items.reduce((acc, value) => {
+        acc[value] = (acc[value] || 0) + 1;
         return acc;
       }, {});
-      const topSpeciesEntry = Object.entries(speciesCounts).sort(
-        (a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'en', { sensitivity: 'base' })
-      )[0];
-      const topSpeciesLabel = topSpeciesEntry ? `${topSpeciesEntry[0]} (${topSpeciesEntry[1]})` : 'Unknown';
-      const newSpecies = species.filter((name) => firstSeenDayBySpecies[name] === dayKey);
-      const hasNewSpecies = newSpecies.length > 0;
-      const newSpeciesLabel = hasNewSpecies ? newSpecies.join(', ') : 'None';
-      const countByValue = (items) =>
-        items.reduce((acc, value) => {
-          acc[value] = (acc[value] || 0) + 1;
-          return acc;
-        }, {});
-      const topValue = (items) => {
-        const entries = Object.entries(countByValue(items));
-        const top = entries.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'en', { sensitivity: 'base' }))[0];
-        return top ? top[0] : null;
-      };
-      const cameraItems = captures.map((capture) => capture.camera).filter((value) => value && value !== 'Unknown');
-      const lensItems = captures.map((capture) => capture.lens).filter((value) => value && value !== 'Unknown');
-      const primaryCamera = topValue(cameraItems) || 'Unknown camera';
-      const primaryLens = topValue(lensItems) || 'Unknown lens';
-      const gearLabel = `${primaryCamera} + ${primaryLens}`;
-      const titleLabels = parks.slice();
-      const titleCenters = selectedParkCentroids.slice();
-      if (titleLabels.length) {
-        cityEntries.forEach((entry) => {
-          if (titleLabels.length >= 4) {
-            return;
-          }
-          if (titleLabels.some((label) => normalizeLocationToken(label) === entry.normalized)) {
-            return;
-          }
-          const minMiles = titleCenters.reduce((min, center) => {
-            const miles = haversineKm(entry.centroid.lat, entry.centroid.lon, center.lat, center.lon) / KM_PER_MILE;
-            return Math.min(min, miles);
-          }, Number.POSITIVE_INFINITY);
-          if (minMiles >= TITLE_APPEND_DISTANCE_MILES) {
-            titleLabels.push(entry.label);
-            titleCenters.push(entry.centroid);
-          }
-        });
-      }
+    const topValue = (items) => {
+      const entries = Object.entries(countByValue(items));
+      const top = entries.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'en', { sensitivity: 'base' }))[0];
+      return top ? top[0] : null;
+    };
+    const cameraItems = captures.map((capture) => capture.camera).filter((value) => value && value !== 'Unknown');
+    const lensItems = captures.map((capture) => capture.lens).filter((value) => value && value !== 'Unknown');
+    const primaryCamera = topValue(cameraItems) || 'Unknown camera';
+    const primaryLens = topValue(lensItems) || 'Unknown lens';
+    const gearLabel = `${primaryCamera} + ${primaryLens}`;
+
+    const images = captures.map((capture) => ({
+      ...pickImageSources(capture),
+      bird: capture.bird,
+      speciesHref: capture.speciesHref,
+      filename: capture.filename,
+      pageHref: capture.pageHref,
+      captureDate: formatDisplayDate(wallClockDate(capture.captureDateLocal)),
+      captureDateIso: capture.captureDateIso,
+      captureDateLocal: capture.captureDateLocal,
+      camera: capture.camera,
+      lens: capture.lens,
+      aperture: capture.aperture,
+      exposure: capture.exposure,
+      iso: capture.iso,
+      focalLength: capture.focalLength,
+      title: capture.title || null,
+      caption: capture.caption || null,
+      rating: Number.isFinite(capture.rating) ? capture.rating : null,
+      stateCode: capture.stateCode || null,
+      countryCode: capture.countryCode || null,
+      approximate: Boolean(capture.approximate),
+      lat: capture.lat,
+      lon: capture.lon
+    }));
 
-      const preferredTitleLabels = titleLabels.filter((label) => !isGenericAdmin(label));
-      const displayTitleLabels = preferredTitleLabels.length ? preferredTitleLabels : titleLabels;
-      const locationTitle = displayTitleLabels.length
-        ? displayTitleLabels.join(', ')
-        : parks.length
-        ? parks.slice(0, 2).join(', ')
-        : cities.length
-          ? cities.slice(0, 2).join(', ')
-        : locations[0] || `${centroid.lat.toFixed(3)}, ${centroid.lon.toFixed(3)}`;
-
-      const images = captures.map((capture) => ({
-        src: capture.src,
-        thumbSrc: capture.thumbSrc || capture.src,
-        bird: capture.bird,
-        speciesHref: capture.speciesHref,
-        filename: capture.filename,
-        captureDate: formatDisplayDateLocal(capture.captureDateObj || normalizeExifDate(capture.captureDateIso)),
-        captureDateIso: capture.captureDateIso,
-        camera: capture.camera,
-        lens: capture.lens,
-        aperture: capture.aperture,
-        exposure: capture.exposure,
-        iso: capture.iso,
-        focalLength: capture.focalLength,
-        lat: capture.lat,
-        lon: capture.lon
-      }));
-
-      const coverIndex = images.length - 1;
-      const cover = images[coverIndex];
-
-      trips.push({
-        id: buildTripSlug(dayKey, locationTitle, centroid),
-        dayKey,
-        locationTitle,
-        dateLabel,
-        durationLabel,
-        timeRange,
-        imageCount: images.length,
-        speciesCount: species.length,
-        topSpeciesLabel,
-        hasNewSpecies,
-        newSpeciesLabel,
-        gearLabel,
-        species,
-        locations,
-        centroid,
-        maxSpreadKm,
-        images,
-        coverIndex,
-        cover,
-        mapHref: `/birdopedia/map/index.html?species=${encodeURIComponent(cover.bird)}&focus=all&image=${encodeURIComponent(
-          cover.filename
-        )}`
-      });
-    }
+    const cover = pickHeroImage(images, {
+      pinned: curation.trips?.[group.id]?.hero,
+      keyOf: tripCaptureKey,
+      fallback: images[images.length - 1]
+    });
+    const coverIndex = images.indexOf(cover);
+
+    return {
+      id: group.id,
+      mergedIds: group.mergedIds || [],
+      dayKey: dayKeys[0],
+      endDayKey: dayKeys[dayKeys.length - 1],
+      dayKeys,
+      locationTitle: group.title || locationTitle,
+      description: group.description || null,
+      dateLabel,
+      durationLabel,
+      timeRange,
+      imageCount: images.length,
+      speciesCount: species.length,
+      topSpeciesLabel,
+      hasNewSpecies,
+      newSpecies,
+      newSpeciesLabel,
+      gearLabel,
+      species,
+      locations,
+      centroid,
+      maxSpreadKm,
+      images,
+      coverIndex,
+      cover,
+      mapHref: mapPath({ species: cover.bird, focus: 'all', image: cover.filename })
+    };
   });
 
   trips.sort((a, b) => {
@@ -689,6 +2025,289 @@ function formatTripSlugCoord(value, fallback) {
     .replace(/\D/g, '');
 }
 
+// Slugs are assigned in filename order so a photo keeps its URL when newer frames are added.
+// Slugs from data/photo-slugs.json are kept, so a new file with a clashing name takes the suffix instead.
+function assignPhotoSlugs(birdName, images) {
+  const known = photoSlugRegistry[birdName] || {};
+  const slugByFilename = new Map();
+  const used = new Set(RESERVED_PHOTO_SLUGS);
+  const filenames = images.map((image) => image.filename).sort((a, b) => a.localeCompare(b));
+  filenames.forEach((filename) => {
+    const slug = known[filename];
+    if (typeof slug === 'string' && slug && !used.has(slug)) {
+      used.add(slug);
+      slugByFilename.set(filename, slug);
+    }
+  });
+  filenames
+    .filter((filename) => !slugByFilename.has(filename))
+    .forEach((filename) => {
+      const base = slugify(path.parse(filename).name) || 'photo';
+      let slug = base;
+      let suffix = 2;
+      while (used.has(slug)) {
+        slug = `${base}-${suffix}`;
+        suffix += 1;
+      }
+      used.add(slug);
+      slugByFilename.set(filename, slug);
+    });
+  assignedPhotoSlugs[birdName] = Object.fromEntries(filenames.map((filename) => [filename, slugByFilename.get(filename)]));
+  return images.map((image) => {
+    const slug = slugByFilename.get(image.filename);
+    return { ...image, slug, pageHref: photoPath(birdName, slug) };
+  });
+}
+
+// Frames listed under `hidden` and Lightroom rejects (rating -1) stay in public/img but are never published.
+function isImageHidden(birdName, image) {
+  const hidden = curation.species?.[birdName]?.hidden || [];
+  return hidden.includes(image.filename) || image.rating === -1;
+}
+
+// A pinned frame wins, then the highest XMP rating (first in list order), then the caller's fallback.
+function pickHeroImage(images, { pinned = null, keyOf = (image) => image.filename, fallback = images[0] } = {}) {
+  const pinnedImage = pinned ? images.find((image) => keyOf(image) === pinned) : null;
+  if (pinnedImage) {
+    return pinnedImage;
+  }
+  const bestRating = Math.max(0, ...images.map((image) => (Number.isFinite(image.rating) ? image.rating : 0)));
+  return (bestRating >= 1 ? images.find((image) => image.rating === bestRating) : null) || fallback || null;
+}
+
+// Carousel order: hero first, then frames listed under `order`, then the rest newest-first.
+function orderDisplayImages(images, hero, order = []) {
+  const position = new Map(order.map((filename, index) => [filename, index]));
+  const rest = images.filter((image) => image !== hero);
+  const listed = rest
+    .filter((image) => position.has(image.filename))
+    .sort((a, b) => position.get(a.filename) - position.get(b.filename));
+  const unlisted = rest.filter((image) => !position.has(image.filename));
+  return [hero, ...listed, ...unlisted].filter(Boolean);
+}
+
+function warnUnknownCuration(birdName, filenames) {
+  const entry = curation.species?.[birdName];
+  if (!entry) {
+    return;
+  }
+  const known = new Set(filenames);
+  [entry.hero, ...(entry.order || []), ...(entry.hidden || [])]
+    .filter((filename) => filename && !known.has(filename))
+    .forEach((filename) => {
+      console.warn(`Curation: ${birdName}/${filename} does not exist.`);
+    });
+}
+
+// Photos inside a privacy zone or of a sensitive species never publish their original, whatever stripDownloadGps says.
+function needsDownloadCopy(birdName, image) {
+  return Boolean(image.gps) && (STRIP_DOWNLOAD_GPS || resolveLocationPrivacy(birdName, image.gps) !== null);
+}
+
+function withDownloadCopy(birdName, image) {
+  if (!needsDownloadCopy(birdName, image)) {
+    return image;
+  }
+  return { ...image, downloadCopy: true, originalSrc: toWebPath('downloads', birdName, image.filename) };
+}
+
+function warnUnknownTripCuration(trips) {
+  const tripsById = new Map(trips.map((trip) => [trip.id, trip]));
+  Object.entries(curation.trips || {}).forEach(([tripId, entry]) => {
+    const trip = tripsById.get(tripId);
+    if (!trip) {
+      console.warn(`Curation: trip ${tripId} does not exist.`);
+      return;
+    }
+    if (entry?.hero && `${trip.cover.bird}/${trip.cover.filename}` !== entry.hero) {
+      console.warn(`Curation: ${entry.hero} is not part of trip ${tripId}.`);
+    }
+  });
+}
+
+function readTripJournals() {
+  if (!fs.existsSync(JOURNAL_DIR)) {
+    return new Map();
+  }
+  const entries = new Map();
+  fs.readdirSync(JOURNAL_DIR)
+    .filter((filename) => filename.toLowerCase().endsWith('.md'))
+    .sort()
+    .forEach((filename) => {
+      try {
+        entries.set(filename.slice(0, -3), fs.readFileSync(path.join(JOURNAL_DIR, filename), 'utf8'));
+      } catch (error) {
+        console.warn(`Journal: failed to read ${filename}.`, error.message || error);
+      }
+    });
+  return entries;
+}
+
+// `![[IMG_0001.jpg]]` embeds a photo (prefix `Species/` when the filename is not unique, add `|caption` to caption it)
+// and `[[Blue Jay]]` links a species page (`[[Blue Jay|jays]]` changes the link text).
+function createJournalRenderer(birds, warn) {
+  const birdsByName = new Map(birds.map((bird) => [bird.name.toLowerCase(), bird]));
+  const imagesByFilename = new Map();
+  birds.forEach((bird) => {
+    bird.images.forEach((image) => {
+      const key = image.filename.toLowerCase();
+      if (!imagesByFilename.has(key)) {
+        imagesByFilename.set(key, []);
+      }
+      imagesByFilename.get(key).push({ bird, image });
+    });
+  });
+  const splitRef = (value) => {
+    const [target, ...label] = value.split('|');
+    return { target: target.trim(), label: label.join('|').trim() };
+  };
+  const findImage = (ref, trip) => {
+    const slash = ref.lastIndexOf('/');
+    const birdName = slash >= 0 ? ref.slice(0, slash).trim().toLowerCase() : null;
+    const matches = (imagesByFilename.get(ref.slice(slash + 1).trim().toLowerCase()) || []).filter(
+      (match) => !birdName || match.bird.name.toLowerCase() === birdName
+    );
+    if (matches.length > 1) {
+      const inTrip = matches.filter((match) =>
+        trip.images.some((image) => image.bird === match.bird.name && image.filename === match.image.filename)
+      );
+      return inTrip.length === 1 ? inTrip[0] : { ambiguous: true };
+    }
+    return matches[0] || null;
+  };
+  let currentTrip = null;
+  const journal = new Marked({
+    extensions: [
+      {
+        name: 'journalPhoto',
+        level: 'inline',
+        start: (src) => src.indexOf('![['),
+        tokenizer(src) {
+          const match = /^!\[\[([^\]\n]+)\]\]/.exec(src);
+          return match ? { type: 'journalPhoto', raw: match[0], ...splitRef(match[1]) } : undefined;
+        },
+        renderer(token) {
+          const found = findImage(token.target, currentTrip);
+          if (!found || found.ambiguous) {
+            warn(
+              found
+                ? `${token.target} matches photos of several species; prefix it with the species name.`
+                : `no photo named ${token.target}.`
+            );
+            return escapeHtml(token.label || token.target);
+          }
+          const { bird, image } = found;
+          const caption = token.label || image.title || bird.name;
+          return `<a class="journal-photo" href="${image.pageHref}"><span class="journal-photo__media media-frame">${renderPicture(
+            image,
+            { alt: `${bird.name} photograph`, sizes: '(min-width: 900px) 40vw, 100vw' }
+          )}</span><span class="journal-photo__caption">${escapeHtml(caption)}</span></a>`;
+        }
+      },
+      {
+        name: 'journalSpecies',
+        level: 'inline',
+        start: (src) => src.indexOf('[['),
+        tokenizer(src) {
+          const match = /^\[\[([^\]\n]+)\]\]/.exec(src);
+          return match ? { type: 'journalSpecies', raw: match[0], ...splitRef(match[1]) } : undefined;
+        },
+        renderer(token) {
+          const bird = birdsByName.get(token.target.toLowerCase());
+          const label = escapeHtml(token.label || token.target);
+          if (!bird) {
+            warn(`no species page for ${token.target}.`);
+            return label;
+          }
+          return `<a class="meta-link" href="${speciesPath(bird.name)}">${label}</a>`;
+        }
+      }
+    ]
+  });
+  return (markdown, trip) => {
+    currentTrip = trip;
+    return journal.parse(markdown);
+  };
+}
+
+// Journal files are named by trip id, or by local day (YYYY-MM-DD) for every trip on that day.
+function applyTripJournals(trips, birds) {
+  const entries = readTripJournals();
+  if (!entries.size) {
+    return;
+  }
+  const used = new Set();
+  let currentFile = '';
+  const render = createJournalRenderer(birds, (message) => console.warn(`Journal: ${currentFile}: ${message}`));
+  trips.forEach((trip) => {
+    const keys = entries.has(trip.id) ? [trip.id] : trip.dayKeys.filter((dayKey) => entries.has(dayKey));
+    if (!keys.length) {
+      return;
+    }
+    const sections = keys.map((key) => {
+      currentFile = `${key}.md`;
+      used.add(key);
+      const html = render(entries.get(key), trip);
+      return key === trip.id || keys.length === 1
+        ? html
+        : `<h3>${formatDisplayDate(wallClockDate(`${key}T00:00:00`))}</h3>\n${html}`;
+    });
+    trip.journalHtml = sections.join('\n');
+    trip.journalText = sections
+      .join(' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  });
+  entries.forEach((_, key) => {
+    if (!used.has(key)) {
+      console.warn(`Journal: ${key}.md does not match a trip id or a trip day.`);
+    }
+  });
+}
+
+function prunePhotoPages(bird) {
+  const birdDir = path.join(SITE_DIR, bird.name);
+  if (!fs.existsSync(birdDir)) {
+    return 0;
+  }
+  const slugs = new Set(bird.images.map((image) => image.slug));
+  let removed = 0;
+  fs.readdirSync(birdDir, { withFileTypes: true }).forEach((entry) => {
+    if (!entry.isDirectory() || slugs.has(entry.name)) {
+      return;
+    }
+    const pageDir = path.join(birdDir, entry.name);
+    if (!fs.existsSync(path.join(pageDir, 'index.html'))) {
+      return;
+    }
+    fs.rmSync(pageDir, { recursive: true, force: true });
+    removed += 1;
+  });
+  return removed;
+}
+
+function pruneTripPages(trips) {
+  const tripsDir = path.join(SITE_DIR, 'trips');
+  if (!fs.existsSync(tripsDir)) {
+    return 0;
+  }
+  const ids = new Set(trips.map((trip) => trip.id));
+  let removed = 0;
+  fs.readdirSync(tripsDir, { withFileTypes: true }).forEach((entry) => {
+    if (!entry.isDirectory() || ids.has(entry.name)) {
+      return;
+    }
+    const pageDir = path.join(tripsDir, entry.name);
+    if (!fs.existsSync(path.join(pageDir, 'index.html'))) {
+      return;
+    }
+    fs.rmSync(pageDir, { recursive: true, force: true });
+    removed += 1;
+  });
+  return removed;
+}
+
 function buildTripSlug(dayKey, locationTitle, centroid = {}) {
   const datePart = slugify(dayKey) || 'undated';
   const locationPart = slugify(locationTitle) || 'unknown-location';
@@ -727,7 +2346,57 @@ function exifToIso(dateValue, offsetValue) {
   if (offsetValue && !/[+-]\d{2}:\d{2}$/.test(base)) {
     base = `${base}${offsetValue}`;
   }
-  return base;
+  return base;
+}
+
+// Camera clock as `YYYY-MM-DDTHH:MM:SS`, so offset rules match the time the camera showed.
+function cameraWallClock(value) {
+  const match = String(value || '').match(/^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null;
+}
+
+function wallClockBound(value, endOfDay) {
+  const text = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return `${text}T${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+  return cameraWallClock(text);
+}
+
+function resolveClockOffset(camera, serial, cameraDate) {
+  const wallClock = cameraWallClock(cameraDate);
+  if (!wallClock) {
+    return 0;
+  }
+  const cameraName = String(camera || '').trim().toLowerCase();
+  const rule = CAMERA_CLOCK_OFFSETS.find((entry) => {
+    if (entry.camera && !cameraName.endsWith(String(entry.camera).trim().toLowerCase())) {
+      return false;
+    }
+    if (entry.serial && String(entry.serial).trim() !== String(serial || '').trim()) {
+      return false;
+    }
+    const from = wallClockBound(entry.from, false);
+    const to = wallClockBound(entry.to, true);
+    return (!from || wallClock >= from) && (!to || wallClock <= to);
+  });
+  return rule ? Number(rule.offsetSeconds) : 0;
+}
+
+// Shifts the wall-clock part and keeps the original separators, subseconds and zone suffix.
+function shiftCaptureDate(value, seconds) {
+  const match =
+    typeof value === 'string' ? value.match(/^(\d{4})([:-])(\d{2})[:-](\d{2})([ T])(\d{2}):(\d{2}):(\d{2})(.*)$/) : null;
+  if (!seconds || !match) {
+    return value;
+  }
+  const [, year, dateSep, month, day, timeSep, hour, minute, second, rest] = match;
+  const shifted = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second) + seconds * 1000);
+  const pad = (number) => String(number).padStart(2, '0');
+  return (
+    `${shifted.getUTCFullYear()}${dateSep}${pad(shifted.getUTCMonth() + 1)}${dateSep}${pad(shifted.getUTCDate())}` +
+    `${timeSep}${pad(shifted.getUTCHours())}:${pad(shifted.getUTCMinutes())}:${pad(shifted.getUTCSeconds())}${rest}`
+  );
 }
 
 function geocodeKey(lat, lon) {
@@ -776,35 +2445,106 @@ function formatGps(lat, lon) {
   };
 }
 
+// One read per file: EXIF-block dates stay as written so offsets and wall-clock times are not shifted by the build machine's zone.
 async function getExif(imagePath) {
   try {
-    const parsed = await exifr.parse(imagePath, { tiff: true, exif: true, gps: true, xmp: true });
+    const parsed = await exifr.parse(imagePath, { tiff: true, exif: { reviveValues: false }, gps: true, xmp: true });
     return parsed || {};
   } catch (error) {
     return {};
   }
 }
 
-async function getExifDateFields(imagePath) {
+const DARKTABLE_COLOR_LABELS = ['Red', 'Yellow', 'Green', 'Blue', 'Purple'];
+
+// Lightroom writes IMG_0001.xmp, darktable writes IMG_0001.jpg.xmp.
+function listXmpSidecars(imagePath) {
+  const stem = imagePath.slice(0, -path.extname(imagePath).length);
+  return [`${imagePath}.xmp`, `${imagePath}.XMP`, `${stem}.xmp`, `${stem}.XMP`].filter((candidate) => fs.existsSync(candidate));
+}
+
+function findXmpSidecar(imagePath) {
+  return listXmpSidecars(imagePath)[0] || null;
+}
+
+function sidecarFingerprint(imagePath) {
+  const sidecarPath = findXmpSidecar(imagePath);
+  return sidecarPath ? `${path.basename(sidecarPath)}:${sourceFingerprint(fs.statSync(sidecarPath))}` : null;
+}
+
+async function getXmpSidecar(sidecarPath) {
+  if (!sidecarPath) {
+    return {};
+  }
   try {
-    const parsed = await exifr.parse(imagePath, {
-      pick: [
-        'SubSecDateTimeOriginal',
-        'DateTimeOriginal',
-        'SubSecCreateDate',
-        'CreateDate',
-        'OffsetTimeOriginal',
-        'OffsetTime',
-        'OffsetTimeDigitized'
-      ],
-      reviveValues: false
-    });
+    const parsed = await exifr.sidecar(sidecarPath);
     return parsed || {};
   } catch (error) {
+    console.warn(`XMP: failed to read ${path.basename(sidecarPath)}.`, error.message || error);
     return {};
   }
 }
 
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function xmpText(value) {
+  if (Array.isArray(value)) {
+    return xmpText(value[0]);
+  }
+  if (value && typeof value === 'object') {
+    return xmpText(value.value);
+  }
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = decodeXmlEntities(String(value)).trim();
+  return text || null;
+}
+
+function xmpList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(xmpText).filter(Boolean);
+}
+
+// Accepts both exifr's merged EXIF output and the per-namespace output of exifr.sidecar().
+function normalizeXmp(parsed = {}) {
+  const fields = { ...parsed, ...(parsed.lr || {}), ...(parsed.dc || {}), ...(parsed.xmp || {}) };
+  const rating = Number(fields.Rating);
+  const darktableLabel = xmpList(parsed.darktable?.colorlabels)
+    .map((value) => DARKTABLE_COLOR_LABELS[Number(value)])
+    .find(Boolean);
+  const keywords = xmpList(fields.subject);
+  const hierarchical = xmpList(fields.hierarchicalSubject).map((value) => value.split('|').pop().trim());
+  return {
+    title: xmpText(fields.title),
+    caption: xmpText(fields.description),
+    rating: Number.isFinite(rating) ? rating : null,
+    colorLabel: xmpText(fields.Label) || darktableLabel || null,
+    keywords: Array.from(new Set(keywords.length ? keywords : hierarchical))
+  };
+}
+
+// Sidecar values win: they hold edits made after the file was exported.
+function mergeXmp(embedded, sidecar) {
+  return {
+    title: sidecar.title || embedded.title,
+    caption: sidecar.caption || embedded.caption,
+    rating: sidecar.rating ?? embedded.rating,
+    colorLabel: sidecar.colorLabel || embedded.colorLabel,
+    keywords: sidecar.keywords.length ? sidecar.keywords : embedded.keywords
+  };
+}
+
 function firstNumber(...values) {
   for (const value of values) {
     if (Number.isFinite(value)) {
@@ -816,32 +2556,69 @@ function firstNumber(...values) {
 
 async function collectImageMetadata(birdName, filename) {
   const imagePath = path.join(IMG_DIR, birdName, filename);
+  const stat = fs.statSync(imagePath);
+  const cacheKey = imageCacheKey(birdName, filename);
+  const cached = buildCache.images[cacheKey];
+  const sidecar = sidecarFingerprint(imagePath);
+  // Editing the clock rules only re-reads photos whose offset actually changes.
+  const clockCurrent =
+    cached &&
+    resolveClockOffset(
+      cached.metadata.camera,
+      cached.metadata.cameraSerial,
+      cached.metadata.captureDateCamera || cached.metadata.captureDateRaw
+    ) === (cached.metadata.clockOffsetSeconds || 0);
+  if (
+    clockCurrent &&
+    cached.size === stat.size &&
+    cached.mtimeMs === stat.mtimeMs &&
+    (cached.sidecar || null) === sidecar
+  ) {
+    imageCacheStats.hits += 1;
+    return withImageVariants(birdName, cached.metadata);
+  }
+  imageCacheStats.misses += 1;
+  const metadata = await readImageMetadata(birdName, filename, imagePath, stat);
+  buildCache.images[cacheKey] = { size: stat.size, mtimeMs: stat.mtimeMs, sidecar, metadata };
+  return withImageVariants(birdName, metadata);
+}
+
+function withImageVariants(birdName, metadata) {
+  const ext = path.extname(metadata.filename);
+  const variantBase = toWebPath('img', birdName, path.basename(metadata.filename, ext));
+  const variantWidths = variantWidthsFor(metadata.pixelWidth);
+  const thumbWidth = variantWidths.find((width) => width >= 720) || variantWidths[variantWidths.length - 1];
+  return {
+    ...metadata,
+    variantBase,
+    variantWidths,
+    src: variantWebPath(variantBase, variantWidths[variantWidths.length - 1], 'avif'),
+    thumbSrc: variantWebPath(variantBase, thumbWidth, 'avif')
+  };
+}
+
+async function readPixelWidth(imagePath) {
+  try {
+    const info = await sharp(imagePath).metadata();
+    return Number.isFinite(info.width) ? info.width : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function readImageMetadata(birdName, filename, imagePath, stat) {
   const exif = await getExif(imagePath);
-  const exifDateFields = await getExifDateFields(imagePath);
+  const xmp = mergeXmp(normalizeXmp(exif), normalizeXmp(await getXmpSidecar(findXmpSidecar(imagePath))));
   if (!exif || Object.keys(exif).length === 0) {
     console.warn(`EXIF: no metadata found for ${path.join(birdName, filename)}.`);
   }
-  const ext = path.extname(filename).toLowerCase();
-  const avifName = ext === '.jpg' || ext === '.jpeg'
-    ? `${path.basename(filename, ext)}.avif`
-    : null;
-  const thumbName = `${path.basename(filename, ext)}.thumb.avif`;
-  const imageSrc = avifName
-    ? toWebPath('img', birdName, avifName)
-    : toWebPath('img', birdName, filename);
-  const thumbSrc = toWebPath('img', birdName, thumbName);
   const originalSrc = toWebPath('img', birdName, filename);
-  const stat = fs.statSync(imagePath);
   const camera = [exif.Make, exif.Model].filter(Boolean).join(' ').trim();
   const gps = formatGps(
     firstNumber(exif.GPSLatitude, exif.latitude),
     firstNumber(exif.GPSLongitude, exif.longitude)
   );
   const captureDateRaw =
-    exifDateFields.SubSecDateTimeOriginal ||
-    exifDateFields.DateTimeOriginal ||
-    exifDateFields.SubSecCreateDate ||
-    exifDateFields.CreateDate ||
     exif.SubSecDateTimeOriginal ||
     exif.DateTimeOriginal ||
     exif.SubSecCreateDate ||
@@ -849,16 +2626,17 @@ async function collectImageMetadata(birdName, filename) {
     exif.FileModifyDate ||
     exif.ModifyDate;
   const offset =
-    exifDateFields.OffsetTimeOriginal ||
-    exifDateFields.OffsetTime ||
-    exifDateFields.OffsetTimeDigitized ||
     exif.OffsetTimeOriginal ||
     exif.OffsetTime ||
     exif.OffsetTimeDigitized;
+  const cameraSerial = String(exif.BodySerialNumber || exif.SerialNumber || exif.InternalSerialNumber || '').trim();
+  const cameraDate = captureDateRaw instanceof Date ? captureDateRaw.toISOString() : captureDateRaw || null;
+  const clockOffsetSeconds = resolveClockOffset(camera, cameraSerial, cameraDate);
+  const correctedDate = shiftCaptureDate(cameraDate, clockOffsetSeconds);
   const captureDateIso =
     captureDateRaw instanceof Date
-      ? captureDateRaw.toISOString()
-      : exifToIso(typeof captureDateRaw === 'string' ? captureDateRaw : null, offset);
+      ? correctedDate
+      : exifToIso(typeof correctedDate === 'string' ? correctedDate : null, offset);
   if (!captureDateRaw) {
     console.warn(`EXIF: missing capture date for ${path.join(birdName, filename)}.`);
   }
@@ -878,6 +2656,7 @@ async function collectImageMetadata(birdName, filename) {
     const ratio = (width / height).toFixed(2);
     console.warn(`Aspect ratio: ${path.join(birdName, filename)} is ${width}x${height} (${ratio}:1), not 3:2.`);
   }
+  const pixelWidth = (await readPixelWidth(imagePath)) || width || null;
   const megapixelsRaw = Number.isFinite(exif.Megapixels)
     ? exif.Megapixels
     : width && height
@@ -886,41 +2665,330 @@ async function collectImageMetadata(birdName, filename) {
 
   return {
     filename,
-    src: imageSrc,
-    thumbSrc,
     originalSrc,
+    pixelWidth,
     width: width || 'Unknown',
     height: height || 'Unknown',
     megapixels: Number.isFinite(megapixelsRaw) ? megapixelsRaw.toFixed(1) : 'Unknown',
     fileSize: formatBytes(stat.size),
-    captureDateRaw,
+    captureDateRaw: correctedDate,
+    captureDateCamera: clockOffsetSeconds ? cameraDate : null,
+    clockOffsetSeconds,
     captureDateIso,
-    captureDate: formatDate(captureDateIso || captureDateRaw),
+    captureDate: formatDate(captureDateIso || correctedDate),
     camera: camera || 'Unknown',
+    cameraSerial: cameraSerial || null,
     lens: exif.LensModel || exif.Lens || 'Unknown',
     exposure: formatExposure(exif.ExposureTime),
     aperture: formatFNumber(exif.FNumber),
     iso: Number.isFinite(exif.ISO) ? `${exif.ISO}` : 'Unknown',
     focalLength: formatFocalLength(exif.FocalLength),
-    gps
+    gps,
+    title: xmp.title,
+    caption: xmp.caption,
+    rating: xmp.rating,
+    colorLabel: xmp.colorLabel,
+    keywords: xmp.keywords
+  };
+}
+
+function publicUrl(pathname) {
+  return absoluteUrl(pathname) || pathname;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function shareImagePath(capture) {
+  const widths = capture.variantWidths || [];
+  const width = widths.find((value) => value >= 720) || widths[widths.length - 1];
+  return width ? `/${variantWebPath(capture.variantBase, width, 'webp')}` : `/${capture.originalSrc}`;
+}
+
+function feedEntryFor(feed, capture) {
+  const published = normalizeExifDate(capture.captureDateIso);
+  const gear = [capture.camera, capture.lens].filter((value) => value && value !== 'Unknown').join(' + ');
+  const title = feed.key === 'lifers' ? `New species: ${capture.bird}` : capture.bird;
+  const speciesUrl = publicUrl(capture.speciesHref);
+  const imageUrl = publicUrl(shareImagePath(capture));
+  return {
+    id: publicUrl(capture.pageHref),
+    url: publicUrl(capture.pageHref),
+    title,
+    speciesUrl,
+    imageUrl,
+    published: published ? published.toISOString() : null,
+    summary: `${capture.bird} photographed ${capture.captureDate}${gear ? ` with ${gear}` : ''}.`,
+    html: `<p><a href="${escapeAttr(speciesUrl)}">${escapeHtml(capture.bird)}</a> photographed ${
+      capture.captureDate
+    }${gear ? ` with ${escapeHtml(gear)}` : ''}.</p><p><a href="${escapeAttr(publicUrl(capture.pageHref))}"><img src="${escapeAttr(
+      imageUrl
+    )}" alt="${escapeAttr(`${capture.bird} photograph`)}" /></a></p>`,
+    bird: capture.bird
+  };
+}
+
+function renderAtomFeed(feed, captures) {
+  const entries = captures.map((capture) => feedEntryFor(feed, capture)).filter((entry) => entry.published);
+  const updated = entries[0]?.published || new Date(0).toISOString();
+  const author = config.authorName ? `\n  <author><name>${escapeXml(config.authorName)}</name></author>` : '';
+  const items = entries
+    .map(
+      (entry) => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}" />
+    <link rel="related" type="text/html" href="${escapeXml(entry.speciesUrl)}" title="${escapeXml(entry.bird)}" />
+    <link rel="enclosure" type="image/webp" href="${escapeXml(entry.imageUrl)}" />
+    <published>${entry.published}</published>
+    <updated>${entry.published}</updated>
+    <category term="${escapeXml(entry.bird)}" />
+    <summary>${escapeXml(entry.summary)}</summary>
+    <content type="html">${escapeXml(entry.html)}</content>
+  </entry>`
+    )
+    .join('\n');
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(publicUrl(sitePath(`${feed.key}.xml`)))}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(publicUrl(sitePath(`${feed.key}.xml`)))}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(publicUrl(sitePath()))}" />
+  <updated>${updated}</updated>${author}
+${items}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed, captures) {
+  const entries = captures.map((capture) => feedEntryFor(feed, capture)).filter((entry) => entry.published);
+  const payload = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: publicUrl(sitePath()),
+    feed_url: publicUrl(sitePath(`${feed.key}.json`)),
+    language: 'en',
+    authors: config.authorName ? [{ name: config.authorName }] : undefined,
+    items: entries.map((entry) => ({
+      id: entry.id,
+      url: entry.url,
+      external_url: entry.speciesUrl,
+      title: entry.title,
+      summary: entry.summary,
+      content_html: entry.html,
+      image: entry.imageUrl,
+      date_published: entry.published,
+      tags: [entry.bird]
+    }))
   };
+  return JSON.stringify(payload, null, 2);
+}
+
+function renderFeedLinks() {
+  if (!SITE_ORIGIN) {
+    return '';
+  }
+  return FEEDS.map(
+    (feed) => `<link rel="alternate" type="application/atom+xml" title="${escapeAttr(feed.title)}" href="${sitePath(
+      `${feed.key}.xml`
+    )}" />
+    <link rel="alternate" type="application/feed+json" title="${escapeAttr(feed.title)}" href="${sitePath(`${feed.key}.json`)}" />`
+  ).join('\n    ');
+}
+
+function renderStructuredData(data) {
+  if (!data) {
+    return '';
+  }
+  const json = JSON.stringify({ '@context': 'https://schema.org', ...data }).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+function toSitemapDate(value) {
+  const date = normalizeExifDate(value);
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+function renderSitemap(entries) {
+  const urls = entries
+    .map((entry) => {
+      const lastmod = entry.lastmod ? `\n    <lastmod>${entry.lastmod}</lastmod>` : '';
+      return `  <url>\n    <loc>${escapeXml(absoluteUrl(entry.path))}</loc>${lastmod}\n  </url>`;
+    })
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
+
+function renderRobots() {
+  const disallow = Array.isArray(config.robotsDisallow) ? config.robotsDisallow.filter(Boolean) : [];
+  const lines = ['User-agent: *'];
+  if (disallow.length) {
+    disallow.forEach((rule) => lines.push(`Disallow: ${rule}`));
+  } else {
+    lines.push('Allow: /');
+  }
+  if (SITE_ORIGIN) {
+    lines.push('', `Sitemap: ${absoluteUrl(sitePath('sitemap.xml'))}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Crawlers ignore relative og:url and og:image, so images and URLs are only advertised with a siteOrigin.
+function renderSocialMeta({ title, description, canonicalUrl, image }) {
+  const shareImage = SITE_ORIGIN && image ? image : {};
+  const imageUrl = shareImage.src ? absoluteUrl(shareImage.src) : null;
+  return [
+    ['property', 'og:site_name', SITE_TITLE],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', canonicalUrl],
+    ['property', 'og:image', imageUrl],
+    ['property', 'og:image:width', imageUrl && shareImage.width],
+    ['property', 'og:image:height', imageUrl && shareImage.height],
+    ['property', 'og:image:alt', imageUrl && shareImage.alt],
+    ['name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl],
+    ['name', 'twitter:image:alt', imageUrl && shareImage.alt]
+  ]
+    .filter(([, , value]) => value)
+    .map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeAttr(value)}" />`)
+    .join('\n    ');
+}
+
+function searchThumbPath(image) {
+  if (!image?.variantBase || !image.variantWidths?.length) {
+    return image?.originalSrc ? `/${image.originalSrc}` : null;
+  }
+  return `/${variantWebPath(image.variantBase, image.variantWidths[0], 'webp')}`;
 }
 
-function renderLayout({ title, description, bodyClass, content, extraHead = '', extraScripts = '' }) {
-  const siteTitle = 'Birdopedia';
+function buildSearchIndex(birds, mapPoints, trips) {
+  const species = birds.map((bird) => {
+    const ebirdInfo = ebird.species?.[bird.name] || {};
+    const wikidataInfo = wikidata.species?.[bird.name] || {};
+    const summary = String(wikipedia.species?.[bird.name]?.summary || '').replace(/\s+/g, ' ').trim();
+    const photoKeywords = Array.from(new Set(bird.images.flatMap((image) => image.keywords || [])));
+    return {
+      type: 'species',
+      title: bird.name,
+      subtitle: ebirdInfo.scientificName || wikidataInfo.scientificName || '',
+      keywords: [ebirdInfo.family, ebirdInfo.order || wikidataInfo.order, buildBandingCode(bird.name), ...photoKeywords]
+        .filter(Boolean)
+        .join(' '),
+      text: truncateText(summary, 600),
+      meta: `${bird.count} photo${bird.count === 1 ? '' : 's'}`,
+      href: speciesPath(bird.name),
+      thumb: searchThumbPath(bird.hero)
+    };
+  });
+
+  const placesByKey = new Map();
+  mapPoints.forEach((point) => {
+    [
+      ['park', point.park],
+      ['city', [point.city, point.state].filter(Boolean).join(', ')],
+      ['state', [point.state, point.country].filter(Boolean).join(', ')]
+    ].forEach(([kind, label]) => {
+      if (!label) {
+        return;
+      }
+      const key = `${kind}:${label.toLowerCase()}`;
+      if (!placesByKey.has(key)) {
+        placesByKey.set(key, { kind, label, points: [], species: new Set() });
+      }
+      const place = placesByKey.get(key);
+      place.points.push(point);
+      place.species.add(point.bird);
+    });
+  });
+  const placeZoom = { park: 12, city: 11, state: 7 };
+  const placeKindLabel = { park: 'Park', city: 'City', state: 'Region' };
+  const places = Array.from(placesByKey.values()).map((place) => {
+    const lat = place.points.reduce((sum, point) => sum + point.lat, 0) / place.points.length;
+    const lon = place.points.reduce((sum, point) => sum + point.lon, 0) / place.points.length;
+    const speciesNames = Array.from(place.species).sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
+    return {
+      type: 'place',
+      title: place.label,
+      subtitle: `${place.points.length} photo${place.points.length === 1 ? '' : 's'} • ${speciesNames.length} species`,
+      keywords: place.kind,
+      text: speciesNames.join(' '),
+      meta: placeKindLabel[place.kind],
+      href: mapPath({ focus: 'all', lat: lat.toFixed(5), lon: lon.toFixed(5), zoom: placeZoom[place.kind] }),
+      thumb: null
+    };
+  });
+
+  const tripEntries = trips.map((trip) => ({
+    type: 'trip',
+    title: trip.locationTitle,
+    subtitle: trip.dateLabel,
+    keywords: [...trip.dayKeys, ...trip.locations].join(' '),
+    text: [trip.description, ...trip.species, trip.journalText].filter(Boolean).join(' '),
+    meta: `${trip.imageCount} photo${trip.imageCount === 1 ? '' : 's'} • ${trip.speciesCount} species`,
+    href: tripPath(trip.id),
+    thumb: searchThumbPath(trip.cover)
+  }));
+
+  return { species, places, trips: tripEntries };
+}
+
+function renderLayout({
+  title,
+  description,
+  bodyClass,
+  content,
+  canonicalPath = null,
+  structuredData = null,
+  socialImage = null,
+  extraHead = '',
+  extraScripts = ''
+}) {
+  const canonicalUrl = canonicalPath ? absoluteUrl(canonicalPath) : null;
+  const shareImage =
+    socialImage || socialCardImage('home.jpg', SITE_TITLE);
   return `<!doctype html>
 <html lang="en">
   <head>
     <meta charset="utf-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <title>${title} | ${siteTitle}</title>
-    <meta name="description" content="${description}" />
-    <link rel="stylesheet" href="/birdopedia/styles.css" />
+    <title>${escapeHtml(title)} | ${escapeHtml(SITE_TITLE)}</title>
+    <meta name="description" content="${escapeAttr(description)}" />
+    ${canonicalUrl ? `<link rel="canonical" href="${escapeAttr(canonicalUrl)}" />` : ''}
+    ${renderSocialMeta({ title, description, canonicalUrl, image: shareImage })}
+    <link rel="stylesheet" href="${sitePath('styles.css')}" />
+    ${renderFeedLinks()}
+    <link rel="manifest" href="${sitePath('manifest.webmanifest')}" />
+    <link rel="apple-touch-icon" href="${sitePath('icons', 'icon-192.png')}" />
+    <meta name="theme-color" content="${THEME_COLOR}" />
+    ${renderStructuredData(structuredData)}
     ${extraHead}
   </head>
   <body class="${bodyClass}">
     ${content}
+    <script src="${sitePath('search.js')}"></script>
     ${extraScripts}
+    <script>
+      if ('serviceWorker' in navigator) {
+        window.addEventListener('load', () => {
+          navigator.serviceWorker.register('${sitePath('sw.js')}').catch(() => {});
+        });
+      }
+    </script>
   </body>
 </html>`;
 }
@@ -930,9 +2998,17 @@ function renderPreviewModal({ showNav = true, metaHtml = '' } = {}) {
     <div class="preview-modal" data-preview role="dialog" aria-modal="true" aria-hidden="true">
       <button class="preview-modal__close" type="button" data-preview-close aria-label="Close preview">×</button>
       ${showNav ? '<button class="preview-modal__nav" type="button" data-preview-dir="prev" aria-label="Previous photo">‹</button>' : ''}
-      <img class="preview-modal__image" alt="" />
+      <picture class="media-picture">
+        <source type="image/avif" sizes="100vw" data-preview-source="avif" />
+        <source type="image/webp" sizes="100vw" data-preview-source="webp" />
+        <img class="preview-modal__image" alt="" />
+      </picture>
       ${showNav ? '<button class="preview-modal__nav" type="button" data-preview-dir="next" aria-label="Next photo">›</button>' : ''}
       <aside class="preview-modal__info" data-preview-info hidden>
+        <p class="preview-modal__caption" data-preview-caption hidden>
+          <strong data-preview-title></strong>
+          <span data-preview-text></span>
+        </p>
         <div class="preview-modal__stats" data-preview-stats hidden>
           <div class="preview-stat" data-preview-field="aperture" hidden>
             <span class="preview-stat__icon" aria-hidden="true">
@@ -1006,6 +3082,116 @@ function renderPreviewModal({ showNav = true, metaHtml = '' } = {}) {
   `;
 }
 
+function findEbirdExportName(birdName) {
+  const species = ebirdExport?.species || {};
+  if (species[birdName]) {
+    return birdName;
+  }
+  const scientificName = ebird.species?.[birdName]?.scientificName || wikidata.species?.[birdName]?.scientificName;
+  return scientificName ? Object.keys(species).find((name) => species[name].scientificName === scientificName) || null : null;
+}
+
+// Sightings inside a privacy zone or of a sensitive species keep only their state or province.
+function describeEbirdSighting(birdName, sighting) {
+  if (!sighting?.date) {
+    return null;
+  }
+  const hasCoordinates = Number.isFinite(sighting.lat) && Number.isFinite(sighting.lon);
+  const isPrivate = hasCoordinates
+    ? Boolean(resolveLocationPrivacy(birdName, { lat: sighting.lat, lon: sighting.lon }))
+    : isSensitiveSpecies(birdName);
+  const regionParts = String(sighting.region || '').split(', ').filter(Boolean);
+  return {
+    dateLabel: formatDisplayDate(wallClockDate(`${sighting.date}T00:00:00`)),
+    place: isPrivate
+      ? regionParts[regionParts.length - 1] || null
+      : [sighting.location, ...regionParts].filter(Boolean).join(', ') || null,
+    checklistUrl: !isPrivate && sighting.checklistId ? `https://ebird.org/checklist/${encodeURIComponent(sighting.checklistId)}` : null
+  };
+}
+
+function mapBirdsByExportName(birds) {
+  const birdByExportName = new Map();
+  birds.forEach((bird) => {
+    const exportName = findEbirdExportName(bird.name);
+    if (exportName) {
+      birdByExportName.set(exportName, bird);
+    }
+  });
+  return birdByExportName;
+}
+
+function buildLifeListStats(birds) {
+  if (!ebirdExport?.species) {
+    return null;
+  }
+  const birdByExportName = mapBirdsByExportName(birds);
+  const entries = Object.entries(ebirdExport.species);
+  const latestSightings = entries
+    .filter(([, entry]) => entry.lastObserved?.date)
+    .sort((a, b) => b[1].lastObserved.date.localeCompare(a[1].lastObserved.date) || a[0].localeCompare(b[0]))
+    .slice(0, 6)
+    .map(([name, entry]) => {
+      const bird = birdByExportName.get(name);
+      return {
+        name,
+        href: bird ? speciesPath(bird.name) : null,
+        ...describeEbirdSighting(bird ? bird.name : name, entry.lastObserved)
+      };
+    });
+  return {
+    lifeTotal: entries.length,
+    photographedCount: birdByExportName.size,
+    seenNotPhotographed: entries.length - birdByExportName.size,
+    checklistCount: ebirdExport.checklistCount || 0,
+    years: Object.entries(ebirdExport.years || {})
+      .sort((a, b) => b[0].localeCompare(a[0]))
+      .slice(0, 5)
+      .map(([year, value]) => ({ year, species: value.species, checklists: value.checklists })),
+    latestSightings,
+    importedAt: ebirdExport.source?.importedAt ? formatDisplayDate(new Date(ebirdExport.source.importedAt)) : null
+  };
+}
+
+// Everything in the eBird export or data/seen.json without a species folder; taxonomy comes from `targets` in data/ebird.json.
+function buildTargetList(birds) {
+  const exportSpecies = ebirdExport?.species || {};
+  const seenSpecies = seenList.species || {};
+  const photographedNames = new Set([...birds.map((bird) => bird.name), ...mapBirdsByExportName(birds).keys()]);
+  const photographedScientificNames = new Set(
+    birds.map((bird) => ebird.species?.[bird.name]?.scientificName || wikidata.species?.[bird.name]?.scientificName).filter(Boolean)
+  );
+  return Array.from(new Set([...Object.keys(exportSpecies), ...Object.keys(seenSpecies)]))
+    .map((name) => {
+      const exported = exportSpecies[name] || null;
+      const manual = seenSpecies[name] || null;
+      const taxon = ebird.targets?.[name] || {};
+      const manualSighting = /^\d{4}-\d{2}-\d{2}$/.test(String(manual?.lastSeen || ''))
+        ? { date: manual.lastSeen, location: manual.place || null }
+        : null;
+      const lastSighting =
+        exported?.lastObserved?.date && !(manualSighting && manualSighting.date > exported.lastObserved.date)
+          ? exported.lastObserved
+          : manualSighting;
+      return {
+        name,
+        scientificName: taxon.scientificName || exported?.scientificName || '',
+        speciesCode: taxon.speciesCode || null,
+        family: taxon.family || '',
+        taxonOrder: taxon.taxonOrder ?? exported?.taxonomicOrder ?? null,
+        lastSeen: lastSighting?.date || '',
+        sighting: describeEbirdSighting(name, lastSighting),
+        checklistCount: exported?.checklistCount || 0,
+        source: exported ? 'eBird' : 'Seen list'
+      };
+    })
+    .filter((target) => !photographedNames.has(target.name) && !photographedScientificNames.has(target.scientificName))
+    .sort(
+      (a, b) =>
+        (a.taxonOrder ?? Infinity) - (b.taxonOrder ?? Infinity) || a.name.localeCompare(b.name, 'en', { sensitivity: 'base' })
+    );
+}
+
 function getAuthorLine() {
   return [config.authorName, config.authorLocation].filter(Boolean).join(' • ');
 }
@@ -1017,12 +3203,30 @@ function renderEbirdLink() {
   return `<a class="meta-link" href="${config.ebirdProfileUrl}">eBird profile</a>`;
 }
 
+function renderSiteSearch() {
+  return `<form class="site-search" role="search" data-site-search data-search-src="${sitePath('search.json')}">
+          <input
+            id="site-search-input"
+            class="site-search__input"
+            type="search"
+            aria-label="Search the site"
+            placeholder="Search species, places, trips"
+            autocomplete="off"
+            spellcheck="false"
+            aria-controls="site-search-results"
+            aria-expanded="false"
+          />
+          <div class="site-search__results" id="site-search-results" role="listbox" hidden></div>
+        </form>`;
+}
+
 function renderSiteNav(activePage) {
   const links = [
-    { key: 'index', label: 'Home', href: '/birdopedia/index.html' },
-    { key: 'map', label: 'Field map', href: '/birdopedia/map/index.html' },
-    { key: 'gallery', label: 'Gallery', href: '/birdopedia/gallery/index.html' },
-    { key: 'trips', label: 'Trips', href: '/birdopedia/trips/index.html' }
+    { key: 'index', label: 'Home', href: sitePath('index.html') },
+    { key: 'map', label: 'Field map', href: sitePath('map', 'index.html') },
+    { key: 'gallery', label: 'Gallery', href: sitePath('gallery', 'index.html') },
+    { key: 'trips', label: 'Trips', href: sitePath('trips', 'index.html') },
+    ...(HAS_TARGET_LIST ? [{ key: 'targets', label: 'Targets', href: sitePath('targets', 'index.html') }] : [])
   ];
   return links
     .map((link) => {
@@ -1031,7 +3235,7 @@ function renderSiteNav(activePage) {
       }
       return `<a class="meta-link" href="${link.href}">${link.label}</a>`;
     })
-    .join(' • ');
+    .join(' • ') + renderSiteSearch();
 }
 
 function escapeAttr(value) {
@@ -1047,6 +3251,52 @@ function escapeHtml(value) {
     .replace(/</g, '&lt;');
 }
 
+function buildSrcset(image, format) {
+  return (image.variantWidths || [])
+    .map((width) => `/${variantWebPath(image.variantBase, width, format)} ${width}w`)
+    .join(', ');
+}
+
+// Browsers that skip <source> get a mid-size WebP instead of the full original.
+function fallbackImageSrc(image) {
+  const widths = image.variantWidths || [];
+  if (!image.variantBase || !widths.length) {
+    return image.originalSrc || image.src;
+  }
+  return variantWebPath(image.variantBase, widths[Math.floor((widths.length - 1) / 2)], 'webp');
+}
+
+function renderPicture(image, { alt, sizes, className = 'media-image media-fade', loading = 'lazy', attributes = '' }) {
+  const fallbackSrc = fallbackImageSrc(image);
+  const img = `<img class="${className}" src="/${fallbackSrc}" alt="${escapeAttr(alt)}" loading="${loading}" decoding="async"${attributes} />`;
+  if (!image.variantBase || !image.variantWidths?.length) {
+    return img;
+  }
+  return `<picture class="media-picture">
+            <source type="image/avif" srcset="${escapeAttr(buildSrcset(image, 'avif'))}" sizes="${sizes}" />
+            <source type="image/webp" srcset="${escapeAttr(buildSrcset(image, 'webp'))}" sizes="${sizes}" />
+            ${img}
+          </picture>`;
+}
+
+function renderEmptyPicture({ sizes, className = 'media-image media-fade', loading = 'lazy' }) {
+  return `<picture class="media-picture">
+            <source type="image/avif" sizes="${sizes}" />
+            <source type="image/webp" sizes="${sizes}" />
+            <img class="${className}" src="" alt="" loading="${loading}" decoding="async" />
+          </picture>`;
+}
+
+function pickImageSources(image) {
+  return {
+    src: image.src,
+    thumbSrc: image.thumbSrc,
+    originalSrc: image.originalSrc,
+    variantBase: image.variantBase,
+    variantWidths: image.variantWidths
+  };
+}
+
 function renderIndex(
   birds,
   collectionStats,
@@ -1054,11 +3304,12 @@ function renderIndex(
   featuredImages,
   recentCaptures,
   families = [],
-  statuses = []
+  statuses = [],
+  lifeList = null
 ) {
   const listing = birds
     .map((bird) => {
-      const href = `/${toWebPath('birdopedia', bird.name, 'index.html')}`;
+      const href = speciesPath(bird.name);
       const latestAttr = bird.latestIso ? ` data-latest-capture="${bird.latestIso}"` : '';
       const nameAttr = ` data-name="${escapeAttr(bird.name.toLowerCase())}"`;
       const familyAttr = ` data-family="${escapeAttr((bird.family || '').toLowerCase())}"`;
@@ -1084,7 +3335,7 @@ function renderIndex(
     ? `
       <section class="featured-shot" data-featured>
         <a class="featured-shot__media media-frame" href="#">
-          <img class="media-image media-fade" src="" alt="" loading="eager" decoding="async" />
+          ${renderEmptyPicture({ sizes: '(min-width: 900px) 30vw, 100vw', loading: 'eager' })}
         </a>
         <div class="featured-shot__info">
           <p class="eyebrow">Featured Moment</p>
@@ -1110,10 +3361,11 @@ function renderIndex(
           ${recentCaptures
             .map((capture) => {
               const imageParam = capture.filename ? `?image=${encodeURIComponent(capture.filename)}` : '';
+              const captureHref = capture.pageHref || `${capture.speciesHref}${imageParam}`;
               return `
-              <a class="recent-captures__card" href="${capture.speciesHref}${imageParam}">
+              <a class="recent-captures__card" href="${captureHref}">
                 <div class="recent-captures__thumb media-frame">
-                  <img class="media-image media-fade" src="/${capture.thumbSrc || capture.src}" alt="${capture.bird} recent capture" loading="lazy" decoding="async" />
+                  ${renderPicture(capture, { alt: `${capture.bird} recent capture`, sizes: '(min-width: 900px) 160px, 45vw' })}
                 </div>
                 <div class="recent-captures__meta">
                   <span>${capture.bird}</span>
@@ -1126,16 +3378,73 @@ function renderIndex(
       </section>`
     : '';
 
+  const lifeListSection = lifeList
+    ? `
+        <div class="site-hero__stats life-list">
+          <div class="section-title">
+            <h2>Life List</h2>
+            <p>From my eBird checklists${lifeList.importedAt ? `, imported ${lifeList.importedAt}` : ''}.</p>
+          </div>
+          <div class="stat">
+            <span class="stat__label">Species seen</span>
+            <span class="stat__value">${lifeList.lifeTotal}</span>
+          </div>
+          <div class="stat">
+            <span class="stat__label">Photographed</span>
+            <span class="stat__value">${lifeList.photographedCount} of ${lifeList.lifeTotal}${
+              lifeList.lifeTotal ? ` (${Math.round((lifeList.photographedCount / lifeList.lifeTotal) * 100)}%)` : ''
+            }</span>
+          </div>
+          <div class="stat">
+            <span class="stat__label">Seen, not photographed</span>
+            <span class="stat__value"><a class="meta-link" href="${sitePath('targets', 'index.html')}">${
+              lifeList.seenNotPhotographed
+            }</a></span>
+          </div>
+          <div class="stat">
+            <span class="stat__label">Checklists</span>
+            <span class="stat__value">${lifeList.checklistCount}</span>
+          </div>
+          ${lifeList.years
+            .map(
+              (entry) => `
+          <div class="stat">
+            <span class="stat__label">${entry.year} year list</span>
+            <span class="stat__value">${entry.species} species • ${entry.checklists} checklist${entry.checklists === 1 ? '' : 's'}</span>
+          </div>`
+            )
+            .join('')}
+          ${
+            lifeList.latestSightings.length
+              ? `<div class="life-list__recent">
+            <h3>Latest sightings</h3>
+            <ul>
+              ${lifeList.latestSightings
+                .map(
+                  (sighting) => `<li>${
+                    sighting.href
+                      ? `<a class="meta-link" href="${sighting.href}">${escapeHtml(sighting.name)}</a>`
+                      : escapeHtml(sighting.name)
+                  } <span>${sighting.dateLabel}${sighting.place ? ` • ${escapeHtml(sighting.place)}` : ''}</span></li>`
+                )
+                .join('')}
+            </ul>
+          </div>`
+              : ''
+          }
+        </div>`
+    : '';
+
   const content = `
     <header class="site-hero site-hero--home">
       <div class="site-hero__content">
         <p class="eyebrow">Photographic Field Notes</p>
-        <h1>Birdopedia</h1>
+        <h1>${escapeHtml(SITE_TITLE)}</h1>
         <p class="lede">${bio}</p>
         <div class="hero-meta">
           <span>${authorLine || 'Author information missing'}${ebirdLink ? ` • ${ebirdLink}` : ''}</span>
         </div>
-        <p class="hero-nav">${renderSiteNav('index')}</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('index')}</nav>
         <div class="hero-meta">
           <span>${collectionStats.totalSpecies} species • ${collectionStats.totalPhotos} photographs</span>
         </div>
@@ -1187,6 +3496,7 @@ function renderIndex(
             <span class="stat__value">${collectionStats.daysInField}</span>
           </div>
         </div>
+        ${lifeListSection}
         ${recentSection}
         ${featuredData}
       </aside>
@@ -1249,10 +3559,56 @@ function renderIndex(
     description: 'A photographic encyclopedia of birds.',
     bodyClass: 'page-index',
     content,
-    extraScripts: '<script src="/birdopedia/index.js"></script>'
+    canonicalPath: sitePath(),
+    extraScripts: `<script src="${sitePath('preview.js')}"></script><script src="${sitePath('index.js')}"></script>`
   });
 }
 
+function renderImageLocation(birdName, image) {
+  if (!image.gps) {
+    return 'Unknown';
+  }
+  const location = lookupLocation(image.gps);
+  const locationLabel = [location?.city, location?.state].filter(Boolean).join(', ');
+  const mapLink = mapPath({ species: birdName, focus: 'all', image: image.filename });
+  return `<a class="meta-link" href="${mapLink}">${locationLabel ? escapeHtml(locationLabel) : image.gps.display}</a>${renderInferredNote(
+    image.gps
+  )}`;
+}
+
+function renderInferredNote(gps) {
+  return gps?.inferred ? ' <span class="inferred-note">(from track log)</span>' : '';
+}
+
+function renderDownloadLink(image) {
+  if (!image.originalSrc) {
+    return 'Unknown';
+  }
+  const isJpeg = /\.(jpe?g)$/i.test(image.filename);
+  const downloadLabel = isJpeg ? 'Full Size JPEG' : 'Download original';
+  return `<a class="meta-link meta-link--download" href="/${image.originalSrc}" download>${downloadLabel}</a>`;
+}
+
+// Lightroom stores rejected frames as -1, so only 1–5 count as a rating.
+function renderRating(rating) {
+  if (!Number.isFinite(rating) || rating < 1) {
+    return '';
+  }
+  const stars = Math.min(5, Math.round(rating));
+  return `<span class="rating" role="img" aria-label="${stars} of 5 stars">${'★'.repeat(stars)}${'☆'.repeat(5 - stars)}</span>`;
+}
+
+function renderCaptionText(image) {
+  return [image.title ? `<strong>${escapeHtml(image.title)}</strong>` : '', image.caption ? escapeHtml(image.caption) : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+function renderImageCaption(image) {
+  const text = renderCaptionText(image);
+  return text ? `<p class="image-card__caption">${text}</p>` : '';
+}
+
 function renderBirdPage(bird, ebirdInfo) {
   const wikidataInfo = wikidata.species?.[bird.name] || {};
   const wikipediaInfo = wikipedia.species?.[bird.name] || {};
@@ -1270,77 +3626,70 @@ function renderBirdPage(bird, ebirdInfo) {
     .map(([label, value]) => `<div class="profile-item"><span>${label}</span><strong>${value}</strong></div>`)
     .join('');
 
-  const carouselImages = bird.images
+  const carouselImages = bird.displayImages
     .map((image, index) => {
       return `
-        <img
-          class="carousel__image media-image${index === 0 ? ' is-active' : ''}"
-          src="/${image.src}"
-          alt="${bird.name} photograph ${index + 1}"
-          loading="${index === 0 ? 'eager' : 'lazy'}"
-          decoding="async"
+          ${renderPicture(image, {
+            alt: `${bird.name} photograph ${index + 1}`,
+            sizes: '(min-width: 1100px) 60vw, 100vw',
+            className: `carousel__image media-image${index === 0 ? ' is-active' : ''}`,
+            loading: index === 0 ? 'eager' : 'lazy',
+            attributes: `
           data-filename="${escapeAttr(image.filename)}"
           data-has-gps="${image.gps ? 'true' : 'false'}"
           data-caption-date="${image.captureDateIso || ''}"
           data-caption-camera="${image.camera}"
           data-caption-lens="${image.lens}"
+          data-title="${escapeAttr(image.title || '')}"
+          data-caption="${escapeAttr(image.caption || '')}"
           data-aperture="${image.aperture}"
           data-shutter="${image.exposure}"
           data-iso="${image.iso}"
-          data-focal="${image.focalLength}"
-        />`;
+          data-focal="${image.focalLength}"`
+          })}`;
     })
     .join('');
 
+  const firstCaption = bird.displayImages.length ? renderCaptionText(bird.displayImages[0]) : '';
+
   const dots = bird.images.length > 1
     ? bird.images
         .map((_, index) => `<button class="carousel__dot${index === 0 ? ' is-active' : ''}" data-index="${index}" aria-label="Go to image ${index + 1}"></button>`)
         .join('')
     : '';
 
-  const imageCards = bird.images
+  const imageCards = bird.displayImages
     .map((image, index) => {
-      const locationKey = image.gps ? geocodeKey(image.gps.lat, image.gps.lon) : null;
-      const location = locationKey ? geocodeCache.points?.[locationKey] : null;
-      const locationLabel = [location?.city, location?.state].filter(Boolean).join(', ');
-      const mapLink =
-        image.gps
-          ? `/birdopedia/map/index.html?species=${encodeURIComponent(bird.name)}&focus=all&image=${encodeURIComponent(image.filename)}`
-          : '';
-      const gpsSection = image.gps && locationLabel
-        ? `<a class="meta-link" href="${mapLink}">${escapeHtml(locationLabel)}</a>`
-        : image.gps
-          ? `<a class="meta-link" href="${mapLink}">${image.gps.display}</a>`
-          : 'Unknown';
-      const isJpeg = /\.(jpe?g)$/i.test(image.filename);
-      const downloadLabel = isJpeg ? 'Full Size JPEG' : 'Download original';
-      const downloadLink = image.originalSrc
-        ? `<a class="meta-link meta-link--download" href="/${image.originalSrc}" download>${downloadLabel}</a>`
-        : 'Unknown';
+      const gpsSection = renderImageLocation(bird.name, image);
+      const downloadLink = renderDownloadLink(image);
 
       return `
         <article class="image-card">
           <div class="image-card__thumb media-frame zoomable">
-            <img
-              class="media-image media-fade"
-              src="/${image.src}"
-              alt="${bird.name} photograph ${index + 1}"
-              loading="lazy"
-              decoding="async"
+            ${renderPicture(image, {
+              alt: `${bird.name} photograph ${index + 1}`,
+              sizes: '(min-width: 900px) 30vw, 100vw',
+              attributes: `
               data-caption-date="${image.captureDateIso || ''}"
               data-caption-camera="${escapeAttr(image.camera)}"
               data-caption-lens="${escapeAttr(image.lens)}"
+              data-title="${escapeAttr(image.title || '')}"
+              data-caption="${escapeAttr(image.caption || '')}"
               data-aperture="${escapeAttr(image.aperture)}"
               data-shutter="${escapeAttr(image.exposure)}"
               data-iso="${escapeAttr(image.iso)}"
-              data-focal="${escapeAttr(image.focalLength)}"
-            />
+              data-focal="${escapeAttr(image.focalLength)}"`
+            })}
             <span class="zoom-indicator" aria-hidden="true"></span>
           </div>
           <div class="image-card__body">
+            ${renderImageCaption(image)}
             <dl>
               <div><dt>Download</dt><dd>${downloadLink}</dd></div>
-              <div><dt>Captured</dt><dd><time data-capture="${image.captureDateIso || ''}">${image.captureDate}</time></dd></div>
+              <div><dt>Photo page</dt><dd><a class="meta-link" href="${image.pageHref}">Permalink</a></dd></div>
+              ${image.rating >= 1 ? `<div><dt>Rating</dt><dd>${renderRating(image.rating)}</dd></div>` : ''}
+              ${image.keywords?.length ? `<div><dt>Keywords</dt><dd>${escapeHtml(image.keywords.join(', '))}</dd></div>` : ''}
+              <div><dt>Captured</dt><dd><time data-capture="${image.captureDateIso || ''}"${image.timeZone ? ` data-time-zone="${image.timeZone}"` : ''}>${image.captureDate}</time></dd></div>
               <div><dt>Camera</dt><dd>${image.camera}</dd></div>
               <div><dt>Lens</dt><dd>${image.lens}</dd></div>
               <div><dt>Exposure</dt><dd>${image.exposure}</dd></div>
@@ -1456,6 +3805,41 @@ function renderBirdPage(bird, ebirdInfo) {
         ${audioBlock}
       </div>`;
 
+  const sightingsEntry = ebirdExport?.species ? ebirdExport.species[findEbirdExportName(bird.name)] || null : undefined;
+  const firstSighting = describeEbirdSighting(bird.name, sightingsEntry?.firstObserved);
+  const lastSighting = describeEbirdSighting(bird.name, sightingsEntry?.lastObserved);
+  const sightingYears = sightingsEntry?.years || [];
+  const sightingsSection =
+    sightingsEntry === undefined
+      ? ''
+      : `
+          <div class="species-panel">
+            <div class="section-title">
+              <h2>eBird Sightings</h2>
+              <p>${sightingsEntry ? 'From my eBird checklists.' : 'Not in my eBird checklists yet.'}</p>
+            </div>
+            ${
+              sightingsEntry
+                ? `<div class="quick-facts">
+              <div><span>First observed</span><strong>${firstSighting?.dateLabel || 'Unknown'}</strong></div>
+              <div><span>Last observed</span><strong>${lastSighting?.dateLabel || 'Unknown'}</strong></div>
+              <div><span>Last seen at</span><strong>${escapeHtml(lastSighting?.place || 'Unknown')}</strong></div>
+              <div><span>Checklists</span><strong>${sightingsEntry.checklistCount}</strong></div>
+              <div><span>Years</span><strong>${
+                sightingYears.length > 2
+                  ? `${sightingYears.length} (${sightingYears[0]}–${sightingYears[sightingYears.length - 1]})`
+                  : sightingYears.join(', ') || 'Unknown'
+              }</strong></div>
+            </div>
+            ${
+              lastSighting?.checklistUrl
+                ? `<a class="meta-link map-link" href="${lastSighting.checklistUrl}" target="_blank" rel="noopener noreferrer">Latest checklist on eBird</a>`
+                : ''
+            }`
+                : ''
+            }
+          </div>`;
+
   const content = `
     <header class="site-hero page-hero">
       <div class="site-hero__content">
@@ -1463,11 +3847,11 @@ function renderBirdPage(bird, ebirdInfo) {
         <h1>${bird.name}</h1>
         <p class="lede">${profile.scientificName || 'Species profile pending.'}</p>
         <p class="species-code">Banding code: ${bandingCode || 'Unknown'}</p>
-        <p class="hero-nav">${renderSiteNav('')}</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('')}</nav>
         <div class="hero-meta">
           <span>
             ${bird.images.length} photograph${bird.images.length === 1 ? '' : 's'} • ${bird.locationCount} tagged location${bird.locationCount === 1 ? '' : 's'}
-            ${bird.locationCount > 0 ? ` • <a class="meta-link map-link" data-map-link data-species="${escapeAttr(bird.name)}" href="/birdopedia/map/index.html?species=${encodeURIComponent(bird.name)}&focus=latest">View field map</a>` : ''}
+            ${bird.locationCount > 0 ? ` • <a class="meta-link map-link" data-map-link data-species="${escapeAttr(bird.name)}" href="${mapPath({ species: bird.name, focus: 'latest' })}">View field map</a>` : ''}
           </span>
         </div>
       </div>
@@ -1484,12 +3868,13 @@ function renderBirdPage(bird, ebirdInfo) {
             </div>
             ${bird.images.length > 1 ? '<button class="carousel__btn" data-dir="next" aria-label="Next image">›</button>' : ''}
             ${dots ? `<div class="carousel__dots">${dots}</div>` : ''}
-            <p class="carousel__caption" data-caption>${bird.images[0]?.captureDate || ''} • ${bird.images[0]?.camera || ''} • ${bird.images[0]?.lens || ''}</p>
+            <p class="carousel__title" data-carousel-title${firstCaption ? '' : ' hidden'}>${firstCaption}</p>
+            <p class="carousel__caption" data-caption>${bird.displayImages[0]?.captureDate || ''} • ${bird.displayImages[0]?.camera || ''} • ${bird.displayImages[0]?.lens || ''}</p>
             <div class="carousel__meta" data-carousel-meta>
-              <span data-meta="iso">ISO: ${bird.images[0]?.iso || 'Unknown'}</span>
-              <span data-meta="shutter">Shutter: ${bird.images[0]?.exposure || 'Unknown'}</span>
-              <span data-meta="aperture">Aperture: ${bird.images[0]?.aperture || 'Unknown'}</span>
-              <span data-meta="focal">Focal: ${bird.images[0]?.focalLength || 'Unknown'}</span>
+              <span data-meta="iso">ISO: ${bird.displayImages[0]?.iso || 'Unknown'}</span>
+              <span data-meta="shutter">Shutter: ${bird.displayImages[0]?.exposure || 'Unknown'}</span>
+              <span data-meta="aperture">Aperture: ${bird.displayImages[0]?.aperture || 'Unknown'}</span>
+              <span data-meta="focal">Focal: ${bird.displayImages[0]?.focalLength || 'Unknown'}</span>
             </div>
           </div>
         </div>
@@ -1506,6 +3891,7 @@ function renderBirdPage(bird, ebirdInfo) {
               <div><span>Locations</span><strong>${bird.locationCount} tagged</strong></div>
             </div>
           </div>
+          ${sightingsSection}
         </div>
       </section>
 
@@ -1520,21 +3906,300 @@ function renderBirdPage(bird, ebirdInfo) {
       </section>
     </main>
 
-    ${renderPreviewModal({ showNav: bird.images.length > 1 })}
-
+    ${renderPreviewModal({ showNav: bird.images.length > 1 })}
+
+    <footer class="site-footer">
+      <span>${config.authorName || 'The photographer'} • ${bird.images.length} frames of ${bird.name}${sourcesFootnote}</span>
+    </footer>`;
+
+  return renderLayout({
+    title: bird.name,
+    description: `Photography and field notes for ${bird.name}.`,
+    bodyClass: 'page-bird',
+    content,
+    canonicalPath: sitePath(bird.name, ''),
+    structuredData: {
+      '@type': 'Taxon',
+      name: profile.scientificName || bird.name,
+      alternateName: bird.name,
+      taxonRank: 'species',
+      url: publicUrl(sitePath(bird.name, '')),
+      parentTaxon: profile.family ? { '@type': 'Taxon', name: profile.family, taxonRank: 'family' } : undefined,
+      sameAs: wikipediaInfo.url || undefined,
+      image: bird.displayImages.slice(0, 6).map((image) => publicUrl(`/${image.originalSrc}`))
+    },
+    socialImage: socialCardImage(speciesCardKey(bird.name), `${bird.name} photograph`),
+    extraScripts: `<script src="${sitePath('preview.js')}"></script><script src="${sitePath('bird.js')}"></script>`
+  });
+}
+
+function renderPhotoStructuredData(bird, image, scientificName, placeLabel) {
+  const exifData = [
+    ['Camera', image.camera],
+    ['Lens', image.lens],
+    ['Exposure', image.exposure],
+    ['Aperture', image.aperture],
+    ['ISO', image.iso],
+    ['Focal length', image.focalLength]
+  ]
+    .filter(([, value]) => value && value !== 'Unknown')
+    .map(([name, value]) => ({ '@type': 'PropertyValue', name, value: String(value) }));
+  const creator = config.authorName ? { '@type': 'Person', name: config.authorName } : undefined;
+  return {
+    '@type': ['ImageObject', 'Photograph'],
+    name: image.title || `${bird.name} • ${image.captureDate}`,
+    caption: image.caption || undefined,
+    keywords: image.keywords?.length ? image.keywords.join(', ') : undefined,
+    url: publicUrl(sitePath(bird.name, image.slug, '')),
+    contentUrl: publicUrl(`/${image.originalSrc}`),
+    thumbnailUrl: image.thumbSrc ? publicUrl(`/${image.thumbSrc}`) : undefined,
+    width: Number.isFinite(image.width) ? image.width : undefined,
+    height: Number.isFinite(image.height) ? image.height : undefined,
+    dateCreated: image.captureDateIso || undefined,
+    creator,
+    copyrightHolder: creator,
+    creditText: config.authorName || undefined,
+    about: {
+      '@type': 'Taxon',
+      name: scientificName || bird.name,
+      alternateName: bird.name,
+      url: publicUrl(sitePath(bird.name, ''))
+    },
+    contentLocation: image.gps
+      ? {
+          '@type': 'Place',
+          name: placeLabel || undefined,
+          geo: { '@type': 'GeoCoordinates', latitude: image.gps.lat, longitude: image.gps.lon }
+        }
+      : undefined,
+    exifData: exifData.length ? exifData : undefined
+  };
+}
+
+function renderPhotoPage(bird, index, trip = null) {
+  const image = bird.images[index];
+  const prevImage = index > 0 ? bird.images[index - 1] : null;
+  const nextImage = index < bird.images.length - 1 ? bird.images[index + 1] : null;
+  const scientificName = ebird.species?.[bird.name]?.scientificName || wikidata.species?.[bird.name]?.scientificName || '';
+  const location = lookupLocation(image.gps);
+  const placeLabel = location?.label || [location?.city, location?.state].filter(Boolean).join(', ');
+  const tripLink = trip
+    ? `<a class="meta-link" href="${tripPath(trip.id)}">${escapeHtml(trip.locationTitle)} • ${trip.dateLabel}</a>`
+    : 'Not part of a mapped trip';
+  const pagerLink = (target, dir) => {
+    if (!target) {
+      return `<span class="photo-pager__link is-disabled" aria-hidden="true">${dir === 'prev' ? '‹ Newer' : 'Older ›'}</span>`;
+    }
+    return `<a class="photo-pager__link" href="${target.pageHref}" rel="${dir}">${dir === 'prev' ? '‹ Newer' : 'Older ›'}</a>`;
+  };
+  const mapInset = image.gps
+    ? `
+        <div class="species-panel photo-map-panel">
+          <div class="section-title">
+            <h2>Where</h2>
+            <p>${placeLabel ? escapeHtml(placeLabel) : image.gps.display}</p>
+          </div>
+          <div
+            class="field-map photo-map"
+            id="photo-map"
+            data-lat="${image.gps.lat}"
+            data-lon="${image.gps.lon}"
+            ${image.gps.approximate ? `data-radius-km="${LOCATION_GRID_KM}"` : ''}
+            ${image.gps.inferred ? 'data-inferred="true"' : ''}
+            data-label="${escapeAttr(bird.name)}"
+          ></div>
+          <a class="meta-link map-link" href="${mapPath({ species: bird.name, focus: 'all', image: image.filename })}">Open in field map</a>
+        </div>`
+    : '';
+
+  const content = `
+    <header class="site-hero page-hero">
+      <div class="site-hero__content">
+        <p class="eyebrow">Photograph ${index + 1} of ${bird.images.length}</p>
+        <h1>${bird.name}</h1>
+        <p class="lede">${image.title ? escapeHtml(image.title) : scientificName || image.captureDate}</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('')}</nav>
+        <div class="hero-meta">
+          <span>
+            <time data-capture="${image.captureDateIso || ''}"${image.timeZone ? ` data-time-zone="${image.timeZone}"` : ''}>${image.captureDate}</time>
+            • <a class="meta-link" href="${speciesPath(bird.name)}">All ${bird.images.length} ${escapeHtml(bird.name)} photograph${bird.images.length === 1 ? '' : 's'}</a>
+          </span>
+        </div>
+      </div>
+    </header>
+
+    <main class="photo-main">
+      <section class="photo-stage">
+        <div class="photo-stage__frame media-frame">
+          ${renderPicture(image, {
+            alt: `${bird.name} photograph ${index + 1}`,
+            sizes: '(min-width: 1100px) 80vw, 100vw',
+            className: 'photo-stage__image media-image media-fade',
+            loading: 'eager'
+          })}
+        </div>
+        <nav class="photo-pager" aria-label="${escapeAttr(bird.name)} photographs">
+          ${pagerLink(prevImage, 'prev')}
+          <span>${index + 1} / ${bird.images.length}</span>
+          ${pagerLink(nextImage, 'next')}
+        </nav>
+      </section>
+
+      <section class="photo-details">
+        <article class="image-card photo-card">
+          <div class="image-card__body">
+            ${image.caption ? `<p class="image-card__caption">${escapeHtml(image.caption)}</p>` : ''}
+            <h3>Capture details</h3>
+            <dl>
+              ${image.rating >= 1 ? `<div><dt>Rating</dt><dd>${renderRating(image.rating)}</dd></div>` : ''}
+              ${image.keywords?.length ? `<div><dt>Keywords</dt><dd>${escapeHtml(image.keywords.join(', '))}</dd></div>` : ''}
+              <div><dt>Captured</dt><dd><time data-capture="${image.captureDateIso || ''}"${image.timeZone ? ` data-time-zone="${image.timeZone}"` : ''}>${image.captureDate}</time></dd></div>
+              <div><dt>Camera</dt><dd>${image.camera}</dd></div>
+              <div><dt>Lens</dt><dd>${image.lens}</dd></div>
+              <div><dt>Exposure</dt><dd>${image.exposure}</dd></div>
+              <div><dt>Aperture</dt><dd>${image.aperture}</dd></div>
+              <div><dt>ISO</dt><dd>${image.iso}</dd></div>
+              <div><dt>Focal length</dt><dd>${image.focalLength}</dd></div>
+              <div><dt>Dimensions</dt><dd>${image.width} × ${image.height}</dd></div>
+              <div><dt>Megapixels</dt><dd>${image.megapixels}</dd></div>
+              <div><dt>File size</dt><dd>${image.fileSize}</dd></div>
+              <div><dt>Location</dt><dd>${renderImageLocation(bird.name, image)}</dd></div>
+              <div><dt>Coordinates</dt><dd>${image.gps ? `${image.gps.display}${renderInferredNote(image.gps)}` : 'Unknown'}</dd></div>
+              <div><dt>Trip</dt><dd>${tripLink}</dd></div>
+              <div><dt>File</dt><dd>${escapeHtml(image.filename)}</dd></div>
+              <div><dt>Download</dt><dd>${renderDownloadLink(image)}</dd></div>
+            </dl>
+          </div>
+        </article>
+        ${mapInset}
+      </section>
+    </main>
+
     <footer class="site-footer">
-      <span>${config.authorName || 'The photographer'} • ${bird.images.length} frames of ${bird.name}${sourcesFootnote}</span>
+      <span>${config.authorName || 'The photographer'} • ${bird.name} • ${escapeHtml(image.filename)}</span>
     </footer>`;
 
   return renderLayout({
-    title: bird.name,
-    description: `Photography and field notes for ${bird.name}.`,
-    bodyClass: 'page-bird',
+    title: `${image.title ? `${image.title} • ` : ''}${bird.name} • ${image.captureDate}`,
+    description:
+      image.caption || `${bird.name} photographed ${image.captureDate}${placeLabel ? ` near ${placeLabel}` : ''}.`,
+    bodyClass: 'page-photo',
     content,
-    extraScripts: '<script src="/birdopedia/preview.js"></script><script src="/birdopedia/bird.js"></script>'
+    canonicalPath: sitePath(bird.name, image.slug, ''),
+    structuredData: renderPhotoStructuredData(bird, image, scientificName, placeLabel),
+    socialImage: { src: shareImagePath(image), alt: `${bird.name} photograph` },
+    extraHead: image.gps ? '<link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css" />' : '',
+    extraScripts: `${
+      image.gps ? '<script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script>' : ''
+    }<script src="${sitePath('photo.js')}"></script>`
+  });
+}
+
+function renderOfflinePage(birds) {
+  const speciesLinks = birds
+    .map((bird) => `<li><a class="meta-link" href="${speciesPath(bird.name)}">${escapeHtml(bird.name)}</a></li>`)
+    .join('');
+  const content = `
+    <header class="site-hero page-hero">
+      <div class="site-hero__content">
+        <p class="eyebrow">Offline</p>
+        <h1>No signal</h1>
+        <p class="lede">This page has not been saved for offline use yet. Species pages, the gallery, the map and trips are kept on this device once you have visited the site.</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('')}</nav>
+      </div>
+    </header>
+
+    <main class="offline-main">
+      <section class="species-panel">
+        <div class="section-title">
+          <h2>Available offline</h2>
+        </div>
+        <ul class="offline-list">${speciesLinks}</ul>
+      </section>
+    </main>`;
+
+  return renderLayout({
+    title: 'Offline',
+    description: 'This page is not available offline.',
+    bodyClass: 'page-offline',
+    content
   });
 }
 
+function renderManifest() {
+  return JSON.stringify(
+    {
+      name: SITE_TITLE,
+      short_name: SITE_TITLE,
+      description: config.siteLede || 'A photographic encyclopedia of birds.',
+      start_url: sitePath(''),
+      scope: sitePath(''),
+      display: 'standalone',
+      background_color: '#f3f1ec',
+      theme_color: THEME_COLOR,
+      icons: APP_ICON_SIZES.map((size) => ({
+        src: sitePath('icons', `icon-${size}.png`),
+        sizes: `${size}x${size}`,
+        type: 'image/png',
+        purpose: 'any maskable'
+      }))
+    },
+    null,
+    2
+  );
+}
+
+function renderAppIcon(size) {
+  const letter = escapeXml(SITE_TITLE.charAt(0).toUpperCase() || 'B');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 512 512">
+  <rect width="512" height="512" fill="${THEME_COLOR}" />
+  <text x="256" y="340" text-anchor="middle" font-family="Georgia, 'DejaVu Serif', serif" font-size="280" font-weight="700" fill="#f3f1ec">${letter}</text>
+</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function renderServiceWorker(birds) {
+  const workerKey = path.relative(PUBLIC_DIR, path.join(SITE_DIR, 'sw.js')).split(path.sep).join('/');
+  const shellKeys = Object.keys(buildCache.outputs)
+    .filter((key) => key !== workerKey)
+    .sort();
+  const variantKeys = Object.keys(buildCache.variants).sort();
+  const templateScripts = fs
+    .readdirSync(TEMPLATES_DIR)
+    .filter((name) => name.endsWith('.js') && name !== 'sw.js');
+  const shell = [
+    sitePath('index.html'),
+    sitePath('map', 'index.html'),
+    sitePath('gallery', 'index.html'),
+    sitePath('trips', 'index.html'),
+    ...(HAS_TARGET_LIST ? [sitePath('targets', 'index.html')] : []),
+    sitePath('offline', 'index.html'),
+    sitePath('styles.css'),
+    ...templateScripts.map((name) => sitePath(name)),
+    sitePath('search.json'),
+    sitePath('gallery.json'),
+    sitePath('manifest.webmanifest'),
+    ...APP_ICON_SIZES.map((size) => sitePath('icons', `icon-${size}.png`)),
+    ...birds.map((bird) => speciesPath(bird.name))
+  ];
+  // One thumbnail per species; other photos are cached as they are viewed.
+  const thumbs = birds
+    .map((bird) => bird.hero)
+    .filter((image) => image?.variantBase && image.variantWidths?.length)
+    .map((image) => `/${variantWebPath(image.variantBase, image.variantWidths[0], 'avif')}`);
+  const swConfig = {
+    prefix: slugify(SITE_TITLE) || 'birdopedia',
+    shellVersion: hashContent(JSON.stringify(shellKeys.map((key) => [key, buildCache.outputs[key]]))).slice(0, 12),
+    imageVersion: hashContent(JSON.stringify(variantKeys.map((key) => [key, buildCache.variants[key]]))).slice(0, 12),
+    imageBudgetBytes: Math.round(OFFLINE_IMAGE_BUDGET_MB * 1024 * 1024),
+    offlinePage: sitePath('offline', 'index.html'),
+    shell,
+    thumbs
+  };
+  const template = fs.readFileSync(path.join(TEMPLATES_DIR, 'sw.js'), 'utf8');
+  return `self.BIRDOPEDIA_SW = ${JSON.stringify(swConfig)};\n${template}`;
+}
+
 function renderMapPage(mapPayload, mapStats, speciesList = []) {
   const speciesOptions = speciesList
     .map((birdName) => `<option value="${escapeAttr(birdName.toLowerCase())}">${escapeHtml(birdName)}</option>`)
@@ -1558,7 +4223,7 @@ function renderMapPage(mapPayload, mapStats, speciesList = []) {
         <p class="eyebrow">Field Atlas</p>
         <h1>Flight Map</h1>
         <p class="lede">Trace each capture across the landscape, with every geotagged frame pinned to the places you’ve explored.</p>
-        <p class="hero-nav">${renderSiteNav('map')}</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('map')}</nav>
         <div class="hero-meta">
           <span>${mapStats.totalGeoPhotos} geotagged photo${mapStats.totalGeoPhotos === 1 ? '' : 's'} • ${mapStats.totalGeoSpecies} species mapped</span>
         </div>
@@ -1590,7 +4255,7 @@ function renderMapPage(mapPayload, mapStats, speciesList = []) {
         <section class="map-spotlight" data-spotlight>
           <p class="eyebrow">Capture spotlight</p>
           <a class="map-spotlight__media media-frame" href="#">
-            <img class="media-image media-fade" src="" alt="" loading="lazy" decoding="async" />
+            ${renderEmptyPicture({ sizes: '(min-width: 900px) 28vw, 100vw' })}
           </a>
           <div class="map-spotlight__info">
             <h2></h2>
@@ -1621,9 +4286,12 @@ function renderMapPage(mapPayload, mapStats, speciesList = []) {
     description: 'Explore bird photography locations on an interactive map.',
     bodyClass: 'page-map',
     content,
+    canonicalPath: sitePath('map', ''),
     extraHead: '<link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css" />',
     extraScripts:
-      '<script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script><script src="/birdopedia/map.js"></script>'
+      `<script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script><script src="${sitePath('preview.js')}"></script><script src="${sitePath(
+        'map.js'
+      )}"></script>`
   });
 }
 
@@ -1643,7 +4311,7 @@ function renderGalleryPage(
         <p class="eyebrow">Photo Archive</p>
         <h1>Gallery</h1>
         <p class="lede">An unbroken stream of field moments, curated for the images themselves.</p>
-        <p class="hero-nav">${renderSiteNav('gallery')}</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('gallery')}</nav>
         <div class="hero-meta">
           <span>${stats.totalPhotos} photo${stats.totalPhotos === 1 ? '' : 's'} • ${stats.totalSpecies} species</span>
         </div>
@@ -1659,6 +4327,7 @@ function renderGalleryPage(
             <option value="newest">Newest first</option>
             <option value="oldest">Oldest first</option>
             <option value="species">Species A–Z</option>
+            <option value="rating">Top rated</option>
           </select>
         </label>
         <label class="sort-field" for="gallery-camera">
@@ -1686,7 +4355,7 @@ function renderGalleryPage(
           </select>
         </label>
       </div>
-      <div class="gallery-grid" data-gallery-grid></div>
+      <div class="gallery-grid" data-gallery-grid data-gallery-src="${sitePath('gallery.json')}"></div>
       <button class="gallery-load" type="button" data-gallery-load>Load more</button>
     </main>
 
@@ -1698,14 +4367,15 @@ function renderGalleryPage(
     description: 'A continuous gallery of bird photography.',
     bodyClass: 'page-gallery',
     content,
-    extraScripts: '<script src="/birdopedia/preview.js"></script><script src="/birdopedia/gallery.js"></script>'
+    canonicalPath: sitePath('gallery', ''),
+    extraScripts: `<script src="${sitePath('preview.js')}"></script><script src="${sitePath('gallery.js')}"></script>`
   });
 }
 
 function renderTripsPage(trips = []) {
   const totalTripPhotos = trips.reduce((sum, trip) => sum + trip.imageCount, 0);
   const totalTripSpecies = new Set(trips.flatMap((trip) => trip.species)).size;
-  const tripDays = new Set(trips.map((trip) => trip.dayKey)).size;
+  const tripDays = new Set(trips.flatMap((trip) => trip.dayKeys)).size;
   const largestTrip = trips.slice().sort((a, b) => b.imageCount - a.imageCount)[0] || null;
   const cards = trips
     .map((trip) => {
@@ -1713,7 +4383,7 @@ function renderTripsPage(trips = []) {
         .slice(0, 10)
         .map(
           (name) =>
-            `<a class="trip-chip" href="/${toWebPath('birdopedia', name, 'index.html')}">${escapeHtml(name)}</a>`
+            `<a class="trip-chip" href="${speciesPath(name)}">${escapeHtml(name)}</a>`
         )
         .join('');
       const hiddenSpecies = trip.species.length > 10 ? `<span class="trip-chip">+${trip.species.length - 10} more</span>` : '';
@@ -1727,7 +4397,7 @@ function renderTripsPage(trips = []) {
           const imageIndex = trip.images.findIndex((item) => item.filename === image.filename);
           return `
             <button class="trip-thumb" type="button" data-trip-thumb data-trip-id="${trip.id}" data-image-index="${imageIndex}">
-              <img class="media-image media-fade" src="/${image.thumbSrc || image.src}" alt="${escapeAttr(image.bird)} trip image" loading="lazy" decoding="async" />
+              ${renderPicture(image, { alt: `${image.bird} trip image`, sizes: '120px' })}
             </button>`;
         })
         .join('');
@@ -1743,7 +4413,11 @@ function renderTripsPage(trips = []) {
             data-trip-id="${trip.id}"
             data-image-index="${trip.coverIndex}"
           >
-            <img class="media-image media-fade" src="/${trip.cover.src || trip.cover.thumbSrc}" alt="${escapeAttr(trip.cover.bird)} trip cover" loading="lazy" decoding="async" data-trip-hero-image />
+            ${renderPicture(trip.cover, {
+              alt: `${trip.cover.bird} trip cover`,
+              sizes: '(min-width: 900px) 55vw, 100vw',
+              attributes: ' data-trip-hero-image'
+            })}
             <span class="zoom-indicator" aria-hidden="true"></span>
             <span class="trip-card__badge">${trip.dateLabel}</span>
           </button>
@@ -1752,6 +4426,12 @@ function renderTripsPage(trips = []) {
               <h2>${escapeHtml(trip.locationTitle)}</h2>
               <p>${trip.dateLabel} • ${trip.durationLabel}</p>
             </div>
+            ${trip.description ? `<p class="trip-card__description">${escapeHtml(trip.description)}</p>` : ''}
+            ${
+              trip.journalHtml
+                ? `<details class="trip-journal"><summary>Field journal</summary><div class="trip-journal__body">${trip.journalHtml}</div></details>`
+                : ''
+            }
             <div class="trip-kpis">
               <div><span>Photos</span><strong>${trip.imageCount}</strong></div>
               <div><span>Species</span><strong>${trip.speciesCount}</strong></div>
@@ -1771,6 +4451,8 @@ function renderTripsPage(trips = []) {
             <div class="trip-card__thumbs">${thumbButtons}</div>
             <div class="trip-card__actions">
               <a class="meta-link" href="${trip.mapHref}">View this trip on map</a>
+              <a class="meta-link" href="${tripPath(trip.id)}">Route, checklist and all photos</a>
+              <a class="meta-link" href="${tripCsvPath(trip.id)}" download>eBird checklist (CSV)</a>
             </div>
           </div>
         </article>`;
@@ -1791,13 +4473,12 @@ function renderTripsPage(trips = []) {
 
   const emptyState = trips.length
     ? ''
-    : `<section class="trips-empty"><p>No trips detected yet. Add geotagged photos taken on the same day in nearby locations.</p></section>`;
+    : `<section class="trips-empty"><p>No trips detected yet. Add geotagged photos taken close together in place and time.</p></section>`;
 
   const tripScriptData = trips.map((trip) => ({
     id: trip.id,
     images: trip.images.map((image) => ({
-      src: image.src,
-      thumbSrc: image.thumbSrc,
+      ...pickImageSources(image),
       bird: image.bird,
       captureDate: image.captureDate,
       camera: image.camera,
@@ -1806,6 +4487,8 @@ function renderTripsPage(trips = []) {
       exposure: image.exposure,
       iso: image.iso,
       focalLength: image.focalLength,
+      title: image.title,
+      caption: image.caption,
       speciesHref: image.speciesHref,
       filename: image.filename
     }))
@@ -1816,8 +4499,8 @@ function renderTripsPage(trips = []) {
       <div class="site-hero__content">
         <p class="eyebrow">Field Expeditions</p>
         <h1>Trips</h1>
-        <p class="lede">Automatically grouped photo days based on nearby locations and shared capture dates.</p>
-        <p class="hero-nav">${renderSiteNav('trips')}</p>
+        <p class="lede">Automatically grouped outings based on nearby locations and capture times, from single mornings to trips spanning several days.</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('trips')}</nav>
         <div class="hero-meta">
           <span>${trips.length} trip${trips.length === 1 ? '' : 's'} • ${totalTripPhotos} photos • ${totalTripSpecies} species</span>
         </div>
@@ -1853,7 +4536,396 @@ function renderTripsPage(trips = []) {
     description: 'Trip groupings inferred from date and geotag proximity.',
     bodyClass: 'page-trips',
     content,
-    extraScripts: '<script src="/birdopedia/preview.js"></script><script src="/birdopedia/trips.js"></script>'
+    canonicalPath: sitePath('trips', ''),
+    socialImage: trips.length ? socialCardImage('trips.jpg', `${trips[0].locationTitle} • ${trips[0].dateLabel}`) : null,
+    extraScripts: `<script src="${sitePath('preview.js')}"></script><script src="${sitePath('trips.js')}"></script>`
+  });
+}
+
+function renderTargetsPage(targets) {
+  const families = new Set(targets.map((target) => target.family).filter(Boolean));
+  const rows = targets
+    .map((target) => {
+      const nameHtml = target.speciesCode
+        ? `<a class="meta-link" href="https://ebird.org/species/${encodeURIComponent(target.speciesCode)}">${escapeHtml(target.name)}</a>`
+        : escapeHtml(target.name);
+      const sighting = target.sighting;
+      const lastSeenHtml = sighting
+        ? `Last seen ${
+            sighting.checklistUrl ? `<a class="meta-link" href="${sighting.checklistUrl}">${sighting.dateLabel}</a>` : sighting.dateLabel
+          }${sighting.place ? ` • ${escapeHtml(sighting.place)}` : ''}`
+        : 'Date not recorded';
+      return `
+          <li
+            class="target-list__item"
+            data-name="${escapeAttr(target.name)}"
+            data-family="${escapeAttr(target.family)}"
+            data-taxon-order="${target.taxonOrder ?? ''}"
+            data-last-seen="${target.lastSeen}"
+          >
+            <span class="target-list__name">
+              ${nameHtml}
+              ${target.scientificName ? `<em>${escapeHtml(target.scientificName)}</em>` : ''}
+            </span>
+            <span class="target-list__family">${escapeHtml(target.family || 'Family unknown')}</span>
+            <span class="target-list__seen">${lastSeenHtml}</span>
+            <span class="target-list__count">${
+              target.checklistCount
+                ? `${target.checklistCount} checklist${target.checklistCount === 1 ? '' : 's'}`
+                : escapeHtml(target.source)
+            }</span>
+          </li>`;
+    })
+    .join('');
+
+  const content = `
+    <header class="site-hero page-hero">
+      <div class="site-hero__content">
+        <p class="eyebrow">Still to Photograph</p>
+        <h1>Targets</h1>
+        <p class="lede">Species recorded in the field that have no photos in the collection yet.</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('targets')}</nav>
+        <div class="hero-meta">
+          <span>${targets.length} species${families.size ? ` • ${families.size} famil${families.size === 1 ? 'y' : 'ies'}` : ''}</span>
+        </div>
+      </div>
+    </header>
+
+    <main class="targets-main">
+      ${
+        targets.length
+          ? `<div class="gallery-toolbar">
+        <label class="sort-field" for="targets-sort">
+          <span>Sort</span>
+          <select id="targets-sort">
+            <option value="taxonomic" selected>Taxonomic order</option>
+            <option value="family">Family</option>
+            <option value="recent">Most recently seen</option>
+            <option value="name">Name A–Z</option>
+          </select>
+        </label>
+      </div>
+      <ol class="target-list" data-target-list>${rows}
+      </ol>`
+          : `<section class="trips-empty"><p>Every species on the seen list has been photographed.</p></section>`
+      }
+    </main>
+
+    <footer class="site-footer">
+      <span>${config.authorName || 'The photographer'} • ${
+        ebird.targets ? 'Taxonomy from the eBird API.' : 'Run npm run fetch:data to add eBird taxonomy and links.'
+      }</span>
+    </footer>
+  `;
+
+  return renderLayout({
+    title: 'Targets',
+    description: 'Species seen but not photographed yet.',
+    bodyClass: 'page-targets',
+    content,
+    canonicalPath: sitePath('targets', ''),
+    extraScripts: `<script src="${sitePath('targets.js')}"></script>`
+  });
+}
+
+function toCsvRow(values) {
+  return values
+    .map((value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',');
+}
+
+function tripCsvPath(tripId) {
+  return sitePath('trips', tripId, 'ebird.csv');
+}
+
+// eBird Record Format (extended): 19 columns, no header row, one checklist per local day of the trip.
+// Counts are X (present) unless `counts` in data/trips.overrides.json gives individuals per species.
+function renderEbirdChecklistCsv(trip) {
+  const counts = tripOverrides.trips?.[trip.id]?.counts || {};
+  Object.keys(counts).forEach((name) => {
+    if (!trip.species.includes(name)) {
+      console.warn(`Trip overrides: ${name} in counts for ${trip.id} is not part of the trip.`);
+    }
+  });
+  const topCode = (field) => {
+    const tally = trip.images.reduce((acc, image) => {
+      const value = image[field];
+      if (value) {
+        acc[value] = (acc[value] || 0) + 1;
+      }
+      return acc;
+    }, {});
+    return Object.entries(tally).sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+  };
+  const stateCode = topCode('stateCode');
+  const countryCode = topCode('countryCode');
+  const tripUrl = absoluteUrl(tripPath(trip.id));
+  const checklistComments = `Photographed species only, exported from ${SITE_TITLE}. Species without a count are marked X (present, not counted).${
+    tripUrl ? ` ${tripUrl}` : ''
+  }`;
+
+  const rows = trip.dayKeys.flatMap((dayKey) => {
+    const dayImages = trip.images.filter((image) => captureDayKey(image) === dayKey);
+    if (!dayImages.length) {
+      return [];
+    }
+    const first = dayImages[0];
+    const last = dayImages[dayImages.length - 1];
+    const durationMinutes = Math.max(
+      1,
+      Math.round((normalizeExifDate(last.captureDateIso) - normalizeExifDate(first.captureDateIso)) / 60000) || 0
+    );
+    const route = dayImages.filter((image) => Number.isFinite(image.lat) && Number.isFinite(image.lon));
+    const distanceMiles =
+      route.slice(1).reduce((sum, image, index) => sum + haversineKm(route[index].lat, route[index].lon, image.lat, image.lon), 0) *
+      0.621371;
+    const traveling = distanceMiles >= 0.1;
+    // A generalized capture must not be averaged with exact ones, so the checklist sits on its grid cell instead.
+    const fuzzed = (route.length ? route : trip.images).find((image) => image.approximate);
+    const center = fuzzed
+      ? { lat: fuzzed.lat, lon: fuzzed.lon }
+      : route.length
+      ? {
+          lat: route.reduce((sum, image) => sum + image.lat, 0) / route.length,
+          lon: route.reduce((sum, image) => sum + image.lon, 0) / route.length
+        }
+      : trip.centroid;
+    const [year, month, day] = dayKey.split('-');
+    const framesBySpecies = dayImages.reduce((acc, image) => {
+      if (!acc.has(image.bird)) {
+        acc.set(image.bird, []);
+      }
+      acc.get(image.bird).push(image);
+      return acc;
+    }, new Map());
+    return Array.from(framesBySpecies.entries()).map(([name, frames]) => {
+      const scientificName = ebird.species?.[name]?.scientificName || wikidata.species?.[name]?.scientificName || '';
+      const [genus = '', ...epithet] = scientificName.split(/\s+/).filter(Boolean);
+      const count = Number.isInteger(counts[name]) && counts[name] > 0 ? counts[name] : 'X';
+      const photoUrl = absoluteUrl(frames[0].pageHref);
+      return toCsvRow([
+        name,
+        genus,
+        epithet.join(' '),
+        count,
+        `${frames.length} photo${frames.length === 1 ? '' : 's'}${photoUrl ? ` ${photoUrl}` : ''}`,
+        trip.locationTitle,
+        Number.isFinite(center?.lat) ? center.lat.toFixed(5) : '',
+        Number.isFinite(center?.lon) ? center.lon.toFixed(5) : '',
+        `${month}/${day}/${year}`,
+        first.captureDateLocal.slice(11, 16),
+        stateCode,
+        countryCode,
+        traveling ? 'Traveling' : 'Stationary',
+        1,
+        durationMinutes,
+        'N',
+        traveling ? distanceMiles.toFixed(2) : '',
+        '',
+        checklistComments
+      ]);
+    });
+  });
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+// `npm run export:ebird -- <trip id or YYYY-MM-DD> ...` copies each matching trip's checklist into the current directory.
+function exportEbirdChecklists(trips, keys) {
+  if (!keys.length) {
+    console.error('eBird export: pass one or more trip ids or dates. Newest trips:');
+    trips.slice(0, 10).forEach((trip) => console.error(`- ${trip.id} (${trip.dateLabel})`));
+    process.exitCode = 1;
+    return;
+  }
+  keys.forEach((key) => {
+    const matches = trips.filter((trip) => trip.id === key || trip.mergedIds.includes(key) || trip.dayKeys.includes(key));
+    if (!matches.length) {
+      console.error(`eBird export: no trip matches ${key}.`);
+      process.exitCode = 1;
+      return;
+    }
+    matches.forEach((trip) => {
+      const outputPath = path.resolve(process.cwd(), `${trip.id}.ebird.csv`);
+      fs.writeFileSync(outputPath, renderEbirdChecklistCsv(trip));
+      console.log(`eBird export: wrote ${outputPath}`);
+    });
+  });
+}
+
+function renderTripPage(trip, newerTrip, olderTrip) {
+  const speciesCounts = trip.images.reduce((acc, image) => {
+    acc.set(image.bird, (acc.get(image.bird) || 0) + 1);
+    return acc;
+  }, new Map());
+  // Checklist rows follow the order species were first photographed on the trip.
+  const checklistRows = Array.from(speciesCounts.entries())
+    .map(([name, count], index) => {
+      const scientificName = ebird.species?.[name]?.scientificName || wikidata.species?.[name]?.scientificName || '';
+      return `
+            <li class="trip-checklist__item">
+              <span class="trip-checklist__rank">${index + 1}</span>
+              <span class="trip-checklist__name">
+                <a class="meta-link" href="${speciesPath(name)}">${escapeHtml(name)}</a>
+                ${scientificName ? `<em>${escapeHtml(scientificName)}</em>` : ''}
+              </span>
+              ${trip.newSpecies.includes(name) ? '<span class="trip-badge trip-badge--new">New</span>' : ''}
+              <span class="trip-checklist__count">${count} photo${count === 1 ? '' : 's'}</span>
+            </li>`;
+    })
+    .join('');
+
+  const gearRows = (field, fallback) => {
+    const counts = trip.images.reduce((acc, image) => {
+      const value = image[field] && image[field] !== 'Unknown' ? image[field] : fallback;
+      acc[value] = (acc[value] || 0) + 1;
+      return acc;
+    }, {});
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'en', { sensitivity: 'base' }))
+      .map(([value, count]) => `<li><span>${escapeHtml(value)}</span><strong>${count}</strong></li>`)
+      .join('');
+  };
+
+  const route = trip.images
+    .filter((image) => Number.isFinite(image.lat) && Number.isFinite(image.lon))
+    .map((image) => ({
+      lat: image.lat,
+      lon: image.lon,
+      day: captureDayKey(image),
+      bird: image.bird,
+      time: formatDisplayTime(wallClockDate(image.captureDateLocal)),
+      href: image.pageHref
+    }));
+
+  const photoCards = trip.images
+    .map((image, index) => {
+      const local = wallClockDate(image.captureDateLocal);
+      const when = trip.dayKeys.length > 1 ? `${formatDisplayDate(local)} ${formatDisplayTime(local)}` : formatDisplayTime(local);
+      return `
+          <a class="trip-photo" href="${image.pageHref}">
+            <span class="trip-photo__media media-frame">
+              ${renderPicture(image, {
+                alt: `${image.bird} photograph ${index + 1} of ${trip.images.length}`,
+                sizes: '(min-width: 900px) 22vw, 50vw'
+              })}
+            </span>
+            <span class="trip-photo__meta">
+              <strong>${escapeHtml(image.title || image.bird)}</strong>
+              <span>${when}${image.lat === null ? ' • not geotagged' : ''}</span>
+            </span>
+          </a>`;
+    })
+    .join('');
+
+  const pagerLink = (target, dir) => {
+    const label = dir === 'prev' ? '‹ Newer trip' : 'Older trip ›';
+    if (!target) {
+      return `<span class="photo-pager__link is-disabled" aria-hidden="true">${label}</span>`;
+    }
+    return `<a class="photo-pager__link" href="${tripPath(target.id)}" rel="${dir}" title="${escapeAttr(
+      `${target.locationTitle} • ${target.dateLabel}`
+    )}">${label}</a>`;
+  };
+
+  const mapPanel = route.length
+    ? `
+        <div class="species-panel trip-route-panel">
+          <div class="section-title">
+            <h2>Route</h2>
+            <p>${route.length} geotagged capture${route.length === 1 ? '' : 's'} joined in the order they were taken.</p>
+          </div>
+          <div class="field-map trip-map" id="trip-map" role="region" aria-label="Route of ${escapeAttr(trip.locationTitle)}"></div>
+          <a class="meta-link map-link" href="${trip.mapHref}">Open in field map</a>
+        </div>`
+    : '';
+
+  const content = `
+    <header class="site-hero page-hero">
+      <div class="site-hero__content">
+        <p class="eyebrow">Trip • ${trip.dateLabel}</p>
+        <h1>${escapeHtml(trip.locationTitle)}</h1>
+        <p class="lede">${escapeHtml(trip.description || trip.timeRange)}</p>
+        <nav class="hero-nav" aria-label="Site">${renderSiteNav('trips')}</nav>
+        <div class="hero-meta">
+          <span>${trip.durationLabel} • ${trip.imageCount} photo${trip.imageCount === 1 ? '' : 's'} • ${trip.speciesCount} species</span>
+        </div>
+      </div>
+    </header>
+
+    <main class="trip-main">
+      <section class="trip-overview">
+        ${mapPanel}
+        <div class="species-panel trip-checklist-panel">
+          <div class="section-title">
+            <h2>Checklist</h2>
+            <p>${trip.speciesCount} species in the order first photographed.</p>
+          </div>
+          <ol class="trip-checklist">${checklistRows}
+          </ol>
+          <a class="meta-link map-link" href="${tripCsvPath(trip.id)}" download>Download as eBird checklist (CSV)</a>
+        </div>
+        <div class="species-panel trip-gear-panel">
+          <div class="section-title">
+            <h2>Gear</h2>
+            <p>Photos per camera and lens.</p>
+          </div>
+          <ul class="trip-gear">${gearRows('camera', 'Unknown camera')}</ul>
+          <ul class="trip-gear">${gearRows('lens', 'Unknown lens')}</ul>
+          <dl class="trip-facts">
+            <div><dt>Time</dt><dd>${escapeHtml(trip.timeRange)}</dd></div>
+            <div><dt>Places</dt><dd>${escapeHtml(trip.locations.join(' • ') || 'Unknown location')}</dd></div>
+          </dl>
+        </div>
+      </section>
+
+      ${
+        trip.journalHtml
+          ? `<section class="image-details trip-journal-section">
+        <div class="section-title">
+          <h2>Field journal</h2>
+        </div>
+        <div class="trip-journal__body">${trip.journalHtml}</div>
+      </section>`
+          : ''
+      }
+
+      <section class="image-details trip-photos">
+        <div class="section-title">
+          <h2>Photographs</h2>
+          <p>Every frame from the trip, earliest first.</p>
+        </div>
+        <div class="trip-photo-grid">${photoCards}
+        </div>
+        <nav class="photo-pager" aria-label="Trips">
+          ${pagerLink(newerTrip, 'prev')}
+          <a class="meta-link" href="${sitePath('trips', 'index.html')}">All trips</a>
+          ${pagerLink(olderTrip, 'next')}
+        </nav>
+      </section>
+    </main>
+
+    <footer class="site-footer">
+      <span>${config.authorName || 'The photographer'} • ${escapeHtml(trip.locationTitle)} • ${trip.dateLabel}</span>
+    </footer>
+
+    <script type="application/json" id="trip-route">${JSON.stringify(route).replace(/</g, '\\u003c')}</script>`;
+
+  return renderLayout({
+    title: `${trip.locationTitle} • ${trip.dateLabel}`,
+    description:
+      trip.description ||
+      `${trip.speciesCount} species and ${trip.imageCount} photograph${trip.imageCount === 1 ? '' : 's'} from ${trip.locationTitle}, ${trip.dateLabel}.`,
+    bodyClass: 'page-trip',
+    content,
+    canonicalPath: sitePath('trips', trip.id, ''),
+    socialImage: socialCardImage(tripCardKey(trip), `${trip.locationTitle} • ${trip.dateLabel}`),
+    extraHead: route.length ? '<link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css" />' : '',
+    extraScripts: `${
+      route.length ? '<script src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"></script>' : ''
+    }<script src="${sitePath('trip.js')}"></script>`
   });
 }
 
@@ -1865,96 +4937,78 @@ async function build() {
     fs.mkdirSync(SITE_DIR, { recursive: true });
   }
 
-  const stylesSource = path.join(TEMPLATES_DIR, 'styles.css');
-  const scriptSource = path.join(TEMPLATES_DIR, 'bird.js');
-  const indexScriptSource = path.join(TEMPLATES_DIR, 'index.js');
-  const mapScriptSource = path.join(TEMPLATES_DIR, 'map.js');
-  const previewScriptSource = path.join(TEMPLATES_DIR, 'preview.js');
-  const galleryScriptSource = path.join(TEMPLATES_DIR, 'gallery.js');
-  const tripsScriptSource = path.join(TEMPLATES_DIR, 'trips.js');
-  if (fs.existsSync(stylesSource)) {
-    fs.copyFileSync(stylesSource, path.join(SITE_DIR, 'styles.css'));
-  }
-  if (fs.existsSync(scriptSource)) {
-    fs.copyFileSync(scriptSource, path.join(SITE_DIR, 'bird.js'));
-  }
-  if (fs.existsSync(indexScriptSource)) {
-    fs.copyFileSync(indexScriptSource, path.join(SITE_DIR, 'index.js'));
-  }
-  if (fs.existsSync(mapScriptSource)) {
-    fs.copyFileSync(mapScriptSource, path.join(SITE_DIR, 'map.js'));
-  }
-  if (fs.existsSync(previewScriptSource)) {
-    fs.copyFileSync(previewScriptSource, path.join(SITE_DIR, 'preview.js'));
-  }
-  if (fs.existsSync(galleryScriptSource)) {
-    fs.copyFileSync(galleryScriptSource, path.join(SITE_DIR, 'gallery.js'));
-  }
-  if (fs.existsSync(tripsScriptSource)) {
-    fs.copyFileSync(tripsScriptSource, path.join(SITE_DIR, 'trips.js'));
+  [
+    'styles.css',
+    'bird.js',
+    'index.js',
+    'map.js',
+    'preview.js',
+    'gallery.js',
+    'trips.js',
+    'trip.js',
+    'targets.js',
+    'photo.js',
+    'search.js'
+  ].forEach((filename) => {
+    copyTemplate(filename);
+  });
+  if (ASSETS_ONLY) {
+    writeBuildCache();
+    console.log(`Copied template assets (${outputStats.written} changed).`);
+    return;
   }
   const allBirds = listBirds();
-  const avifCandidates = allBirds.flatMap((birdName) =>
-    listImages(birdName)
-      .map((filename) => path.join(IMG_DIR, birdName, filename))
-      .filter((imagePath) => avifTargetPath(imagePath))
-  );
-  const thumbCandidates = allBirds.flatMap((birdName) =>
-    listImages(birdName).map((filename) => path.join(IMG_DIR, birdName, filename))
-  );
-  const avifPending = avifCandidates.filter((imagePath) => needsAvifVariant(imagePath));
-  const avifTotal = avifPending.length;
-  const thumbPending = thumbCandidates.filter((imagePath) => needsThumbVariant(imagePath));
-  const thumbTotal = thumbPending.length;
-  const avifPendingSet = new Set(avifPending);
-  const thumbPendingSet = new Set(thumbPending);
-  console.log(`building ${avifTotal} avif file${avifTotal === 1 ? '' : 's'}`);
-  console.log(`building ${thumbTotal} thumbnail file${thumbTotal === 1 ? '' : 's'}`);
-  let avifCreated = 0;
-  let thumbCreated = 0;
-  let avifIndex = 0;
-  let thumbIndex = 0;
+  let hiddenImageCount = 0;
+  const listedImageKeys = [];
+  const deployExcludes = [];
+  const privacyStats = { dropped: 0, fuzzed: 0 };
+  const trackPoints = loadTrackPoints();
+  const trackStats = { inferred: 0 };
+  const trackGeotags = {};
   const birds = await Promise.all(allBirds.map(async (birdName) => {
     const imageFiles = listImages(birdName);
     if (imageFiles.length === 0) {
       console.warn(`Warning: No images found for ${birdName}.`);
       return null;
     }
-    let birdAvifCandidates = 0;
-    let birdAvifUpdated = 0;
-    for (const filename of imageFiles) {
-      const imagePath = path.join(IMG_DIR, birdName, filename);
-      if (!avifTargetPath(imagePath)) {
-        // Skip AVIF generation for non-JPEG files.
-      } else if (avifPendingSet.has(imagePath)) {
-        avifIndex += 1;
-        birdAvifCandidates += 1;
-        const targetPath = avifTargetPath(imagePath);
-        console.log(`${avifIndex}/${avifTotal} started building ${path.basename(imagePath)}`);
-        if (await ensureAvifVariant(imagePath)) {
-          avifCreated += 1;
-          birdAvifUpdated += 1;
-          if (targetPath) {
-            console.log(`${avifIndex}/${avifTotal} finished building ${path.basename(targetPath)}`);
-          }
-        }
-      }
-      if (thumbPendingSet.has(imagePath)) {
-        thumbIndex += 1;
-        console.log(`${thumbIndex}/${thumbTotal} started building thumb for ${path.basename(imagePath)}`);
-        if (await ensureThumbVariant(imagePath)) {
-          thumbCreated += 1;
-          const thumbTarget = thumbTargetPath(imagePath);
-          if (thumbTarget) {
-            console.log(`${thumbIndex}/${thumbTotal} finished building ${path.basename(thumbTarget)}`);
-          }
+    imageFiles.forEach((filename) => listedImageKeys.push(imageCacheKey(birdName, filename)));
+    const metadata = await Promise.all(imageFiles.map((filename) => collectImageMetadata(birdName, filename)));
+    warnUnknownCuration(birdName, imageFiles);
+    const excludeOriginal = (filename) => {
+      deployExcludes.push(`/img/${birdName}/${filename}`);
+      listXmpSidecars(path.join(IMG_DIR, birdName, filename)).forEach((sidecarPath) =>
+        deployExcludes.push(`/img/${birdName}/${path.basename(sidecarPath)}`)
+      );
+    };
+    // Hidden frames are never deployed, and originals with a download copy stay on this machine.
+    metadata
+      .filter((image) => isImageHidden(birdName, image) || needsDownloadCopy(birdName, image))
+      .forEach((image) => excludeOriginal(image.filename));
+    if (STRIP_DOWNLOAD_GPS || isSensitiveSpecies(birdName)) {
+      // Sidecars are never used by the site and can hold GPS the JPEG lacks.
+      imageFiles.forEach((filename) =>
+        listXmpSidecars(path.join(IMG_DIR, birdName, filename)).forEach((sidecarPath) =>
+          deployExcludes.push(`/img/${birdName}/${path.basename(sidecarPath)}`)
+        )
+      );
+    }
+    const images = assignPhotoSlugs(birdName, metadata)
+      .filter((image) => !isImageHidden(birdName, image))
+      .map((image) => {
+        const located = applyTrackLog(withDownloadCopy(birdName, image), trackPoints, trackStats);
+        if (located.gps?.inferred) {
+          trackGeotags[`${birdName}/${image.filename}`] = { lat: located.gps.lat, lon: located.gps.lon };
         }
-      }
+        return applyLocationPrivacy(birdName, applyTimeZone(located), privacyStats);
+      });
+    hiddenImageCount += imageFiles.length - images.length;
+    if (images.length === 0) {
+      console.warn(`Warning: All images for ${birdName} are hidden.`);
+      return null;
     }
-    const images = await Promise.all(imageFiles.map((filename) => collectImageMetadata(birdName, filename)));
     images.sort((a, b) => {
-      const dateA = normalizeExifDate(a.captureDateRaw);
-      const dateB = normalizeExifDate(b.captureDateRaw);
+      const dateA = normalizeExifDate(a.captureDateIso);
+      const dateB = normalizeExifDate(b.captureDateIso);
       if (dateA && dateB) {
         return dateB - dateA;
       }
@@ -1967,20 +5021,26 @@ async function build() {
       return a.filename.localeCompare(b.filename);
     });
     const dates = images
-      .map((image) => normalizeExifDate(image.captureDateRaw))
+      .map((image) => normalizeExifDate(image.captureDateIso))
       .filter(Boolean)
       .sort((a, b) => a - b);
 
     const gpsCount = images.filter((image) => image.gps).length;
+    const speciesCuration = curation.species?.[birdName] || {};
+    const hero = pickHeroImage(images, { pinned: speciesCuration.hero });
 
     const earliestDate = dates[0] || null;
     const latestDate = dates[dates.length - 1] || null;
-    const earliest = earliestDate ? formatDisplayDate(earliestDate) : null;
-    const latest = latestDate ? formatDisplayDate(latestDate) : null;
+    const datedImages = images.filter((image) => image.captureDateLocal);
+    const earliest = datedImages.length ? datedImages[datedImages.length - 1].captureDate : null;
+    const latest = datedImages.length ? datedImages[0].captureDate : null;
 
     return {
       name: birdName,
       images,
+      hero,
+      heroPinned: hero.filename === speciesCuration.hero,
+      displayImages: orderDisplayImages(images, hero, speciesCuration.order),
       count: images.length,
       earliest,
       earliestDate,
@@ -1992,14 +5052,45 @@ async function build() {
   }));
 
   const populatedBirds = birds.filter(Boolean);
+  writePhotoSlugs();
+  const homeCardImage = pickCardImage(populatedBirds.flatMap((bird) => bird.images.map((image) => ({ ...image, bird: bird.name }))));
+  if (hiddenImageCount > 0) {
+    console.log(`Hid ${hiddenImageCount} photo${hiddenImageCount === 1 ? '' : 's'} marked hidden or rejected.`);
+  }
+  if (trackPoints.length) {
+    console.log(`Track logs: placed ${trackStats.inferred} photo${trackStats.inferred === 1 ? '' : 's'} without GPS.`);
+  }
+  writeTrackGeotags(trackGeotags);
+  if (privacyStats.dropped || privacyStats.fuzzed) {
+    console.log(`Location privacy: dropped ${privacyStats.dropped}, generalized ${privacyStats.fuzzed} photo location(s).`);
+  }
+  const imageJobs = collectImageJobs(populatedBirds);
+  console.log(
+    `building ${imageJobs.jobs.length} image variant${imageJobs.jobs.length === 1 ? '' : 's'} with ${IMAGE_WORKERS} worker${
+      IMAGE_WORKERS === 1 ? '' : 's'
+    }`
+  );
+  const imageSummary = await runImageJobs(imageJobs.jobs, IMAGE_WORKERS);
+  imageSummary.skipped += imageJobs.skipped;
+  const orphansRemoved = pruneOrphanedVariants(allBirds, populatedBirds);
+  if (orphansRemoved > 0) {
+    console.log(`Removed ${orphansRemoved} orphaned image variant${orphansRemoved === 1 ? '' : 's'}.`);
+  }
+  const downloadSummary = await syncDownloadCopies(populatedBirds);
+  if (downloadSummary.written || downloadSummary.removed || downloadSummary.failed) {
+    console.log(
+      `Download copies without GPS: ${downloadSummary.written} written, ${downloadSummary.skipped} unchanged, ${downloadSummary.removed} removed, ${downloadSummary.failed} failed.`
+    );
+  }
+  writeDeployExcludes(deployExcludes);
 
   const allDates = populatedBirds
-    .flatMap((bird) => bird.images.map((image) => normalizeExifDate(image.captureDateRaw)))
+    .flatMap((bird) => bird.images.map((image) => wallClockDate(image.captureDateLocal)))
     .filter(Boolean)
     .sort((a, b) => a - b);
   const uniqueDays = new Set(allDates.map((date) => date.toISOString().slice(0, 10)));
   const monthCounts = allDates.reduce((acc, date) => {
-    const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    const key = date.toISOString().slice(0, 7);
     acc[key] = (acc[key] || 0) + 1;
     return acc;
   }, {});
@@ -2049,38 +5140,40 @@ async function build() {
 
   const featuredImages = populatedBirds.length
     ? populatedBirds.flatMap((bird) => {
-        const speciesHref = `/${toWebPath('birdopedia', bird.name, 'index.html')}`;
+        const speciesHref = speciesPath(bird.name);
       return bird.images.map((image) => ({
           bird: bird.name,
-          src: image.src,
-          thumbSrc: image.thumbSrc,
+          ...pickImageSources(image),
           filename: image.filename,
+          pageHref: image.pageHref,
           captureDate: image.captureDate,
           speciesHref
         }));
       })
     : [];
 
-  const recentCaptures = populatedBirds
+  const latestCaptures = populatedBirds
     .map((bird) => {
       const latestImage = bird.images.find((image) => image.captureDateIso);
       if (!latestImage) {
         return null;
       }
-      const speciesHref = `/${toWebPath('birdopedia', bird.name, 'index.html')}`;
+      const speciesHref = speciesPath(bird.name);
       return {
         bird: bird.name,
-        src: latestImage.src,
-        thumbSrc: latestImage.thumbSrc,
+        ...pickImageSources(latestImage),
         filename: latestImage.filename,
+        pageHref: latestImage.pageHref,
         captureDate: latestImage.captureDate,
         captureDateIso: latestImage.captureDateIso,
+        camera: latestImage.camera,
+        lens: latestImage.lens,
         speciesHref
       };
     })
     .filter(Boolean)
-    .sort((a, b) => new Date(b.captureDateIso) - new Date(a.captureDateIso))
-    .slice(0, 6);
+    .sort((a, b) => new Date(b.captureDateIso) - new Date(a.captureDateIso));
+  const recentCaptures = latestCaptures.slice(0, 6);
 
   const families = Array.from(new Set(birdSummaries.map((bird) => bird.family).filter(Boolean))).sort((a, b) =>
     a.localeCompare(b, 'en', { sensitivity: 'base' })
@@ -2088,38 +5181,56 @@ async function build() {
   const statuses = Array.from(new Set(birdSummaries.map((bird) => bird.status).filter(Boolean))).sort((a, b) =>
     a.localeCompare(b, 'en', { sensitivity: 'base' })
   );
-  const indexHtml = renderIndex(
-    birdSummaries,
-    collectionStats,
-    null,
-    featuredImages,
-    recentCaptures,
-    families,
-    statuses
-  );
-  fs.writeFileSync(path.join(SITE_DIR, 'index.html'), indexHtml);
-  fs.writeFileSync(path.join(PUBLIC_DIR, 'index.html'), indexHtml);
-
   const firstSeenDayBySpecies = {};
   populatedBirds.forEach((bird) => {
-    const firstDate = bird.images
-      .map((image) => normalizeExifDate(image.captureDateRaw || image.captureDateIso))
-      .filter(Boolean)
-      .sort((a, b) => a - b)[0];
-    const dayKey = firstDate ? toLocalDayKey(firstDate) : null;
+    const firstImage = bird.images.filter((image) => image.captureDateLocal).slice(-1)[0];
+    const dayKey = firstImage ? captureDayKey(firstImage) : null;
     if (dayKey) {
       firstSeenDayBySpecies[bird.name] = dayKey;
     }
   });
 
+  const lifers = populatedBirds
+    .map((bird) => {
+      const firstImage = bird.images
+        .filter((image) => normalizeExifDate(image.captureDateRaw || image.captureDateIso))
+        .slice(-1)[0];
+      if (!firstImage || !firstSeenDayBySpecies[bird.name]) {
+        return null;
+      }
+      return {
+        bird: bird.name,
+        ...pickImageSources(firstImage),
+        filename: firstImage.filename,
+        pageHref: firstImage.pageHref,
+        captureDate: firstImage.captureDate,
+        captureDateIso: firstImage.captureDateIso,
+        camera: firstImage.camera,
+        lens: firstImage.lens,
+        speciesHref: speciesPath(bird.name)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.captureDateIso) - new Date(a.captureDateIso));
+
+  // Feed ids and links must be absolute, so feeds need siteOrigin just like the sitemap.
+  FEEDS.forEach((feed) => {
+    const captures = (feed.key === 'lifers' ? lifers : latestCaptures).slice(0, FEED_ENTRY_LIMIT);
+    if (SITE_ORIGIN) {
+      writeOutput(path.join(SITE_DIR, `${feed.key}.xml`), renderAtomFeed(feed, captures));
+      writeOutput(path.join(SITE_DIR, `${feed.key}.json`), renderJsonFeed(feed, captures));
+      return;
+    }
+    [`${feed.key}.xml`, `${feed.key}.json`].forEach((filename) => fs.rmSync(path.join(SITE_DIR, filename), { force: true }));
+  });
+
   const mapPoints = [];
   const tripExtraCapturesByDay = new Map();
   populatedBirds.forEach((bird) => {
-    const speciesHref = `/${toWebPath('birdopedia', bird.name, 'index.html')}`;
+    const speciesHref = speciesPath(bird.name);
     const ebirdInfo = ebird.species?.[bird.name];
     bird.images.forEach((image) => {
-      const captureDateObj = normalizeExifDate(image.captureDateRaw || image.captureDateIso);
-      const dayKey = captureDateObj ? toLocalDayKey(captureDateObj) : null;
+      const dayKey = captureDayKey(image);
       if (!image.gps) {
         if (dayKey) {
           if (!tripExtraCapturesByDay.has(dayKey)) {
@@ -2128,17 +5239,21 @@ async function build() {
           tripExtraCapturesByDay.get(dayKey).push({
             bird: bird.name,
             speciesHref,
-            src: image.src,
-            thumbSrc: image.thumbSrc,
+            ...pickImageSources(image),
             filename: image.filename,
+            pageHref: image.pageHref,
             captureDate: image.captureDate,
             captureDateIso: image.captureDateIso,
+            captureDateLocal: image.captureDateLocal,
             camera: image.camera,
             lens: image.lens,
             aperture: image.aperture,
             exposure: image.exposure,
             iso: image.iso,
             focalLength: image.focalLength,
+            title: image.title || null,
+            caption: image.caption || null,
+            rating: Number.isFinite(image.rating) ? image.rating : null,
             family: ebirdInfo?.family || null,
             status: ebirdInfo?.status || wikidata.species?.[bird.name]?.conservationStatus || null,
             locationLabel: null,
@@ -2146,30 +5261,35 @@ async function build() {
             site: null,
             city: null,
             state: null,
+            stateCode: null,
             country: null,
+            countryCode: null,
             lat: null,
             lon: null
           });
         }
         return;
       }
-      const locationKey = geocodeKey(image.gps.lat, image.gps.lon);
-      const location = locationKey ? geocodeCache.points?.[locationKey] : null;
+      const location = lookupLocation(image.gps);
       mapPoints.push({
         id: mapPoints.length,
         bird: bird.name,
         speciesHref,
-        src: image.src,
-        thumbSrc: image.thumbSrc,
+        ...pickImageSources(image),
         filename: image.filename,
+        pageHref: image.pageHref,
         captureDate: image.captureDate,
         captureDateIso: image.captureDateIso,
+        captureDateLocal: image.captureDateLocal,
         camera: image.camera,
         lens: image.lens,
         aperture: image.aperture,
         exposure: image.exposure,
         iso: image.iso,
         focalLength: image.focalLength,
+        title: image.title || null,
+        caption: image.caption || null,
+        rating: Number.isFinite(image.rating) ? image.rating : null,
         family: ebirdInfo?.family || null,
         status: ebirdInfo?.status || wikidata.species?.[bird.name]?.conservationStatus || null,
         locationLabel: location?.label || null,
@@ -2177,16 +5297,20 @@ async function build() {
         site: location?.site || null,
         city: location?.city || null,
         state: location?.state || null,
+        stateCode: location?.stateCode || null,
         country: location?.country || null,
+        countryCode: location?.countryCode || null,
         lat: image.gps.lat,
-        lon: image.gps.lon
+        lon: image.gps.lon,
+        inferred: Boolean(image.gps.inferred),
+        approximate: Boolean(image.gps.approximate)
       });
     });
   });
 
   const geoSpeciesSet = new Set(mapPoints.map((point) => point.bird));
   const geoDates = mapPoints
-    .map((point) => normalizeExifDate(point.captureDateIso))
+    .map((point) => wallClockDate(point.captureDateLocal))
     .filter(Boolean)
     .sort((a, b) => a - b);
   const geoDays = new Set(geoDates.map((date) => date.toISOString().slice(0, 10)));
@@ -2261,42 +5385,123 @@ async function build() {
     bounds
   };
 
+  const tripGroups = groupTripCaptures(mapPoints);
+  writeTripIds(tripGroups);
+  const trips = buildTrips(applyTripOverrides(tripGroups), tripExtraCapturesByDay, firstSeenDayBySpecies);
+  warnUnknownTripOverrides(tripGroups, trips);
+  warnUnknownTripCuration(trips);
+  applyTripJournals(trips, populatedBirds);
+  writeClockOffsetReport(populatedBirds, mapPoints, trips, tripExtraCapturesByDay, firstSeenDayBySpecies);
+
+  // Cards are drawn before any page is rendered so pages only point at cards that exist.
+  const socialCards = [];
+  if (homeCardImage) {
+    socialCards.push({
+      key: 'home.jpg',
+      sourcePath: path.join(IMG_DIR, homeCardImage.bird, homeCardImage.filename),
+      title: SITE_TITLE,
+      subtitle: config.siteLede || '',
+      meta: `${collectionStats.totalSpecies} species • ${collectionStats.totalPhotos} photographs`
+    });
+  }
+  populatedBirds.forEach((bird) => {
+    const cardImage = bird.heroPinned ? bird.hero : pickCardImage(bird.images);
+    if (!cardImage) {
+      return;
+    }
+    socialCards.push({
+      key: speciesCardKey(bird.name),
+      sourcePath: path.join(IMG_DIR, bird.name, cardImage.filename),
+      title: bird.name,
+      subtitle: ebird.species?.[bird.name]?.scientificName || wikidata.species?.[bird.name]?.scientificName || '',
+      meta: `${bird.count} photograph${bird.count === 1 ? '' : 's'}`
+    });
+  });
+  trips.forEach((trip, index) => {
+    if (!trip.cover) {
+      return;
+    }
+    const card = {
+      sourcePath: path.join(IMG_DIR, trip.cover.bird, trip.cover.filename),
+      title: trip.locationTitle,
+      subtitle: trip.dateLabel,
+      meta: `${trip.imageCount} photo${trip.imageCount === 1 ? '' : 's'} • ${trip.speciesCount} species`
+    };
+    socialCards.push({ key: tripCardKey(trip), ...card });
+    if (index === 0) {
+      socialCards.push({ key: 'trips.jpg', ...card });
+    }
+  });
+  const cardJobs = collectSocialCardJobs(socialCards);
+  const cardSummary = await runImageJobs(cardJobs.jobs, IMAGE_WORKERS);
+  const cardsRemoved = pruneSocialCards(socialCards);
+  socialCardState.ready = new Set(socialCards.map((card) => card.key).filter((key) => fs.existsSync(socialCardFile(key))));
+  console.log(
+    `Social cards: ${cardSummary.created} created, ${cardSummary.failed} failed, ${cardJobs.skipped} skipped${
+      cardsRemoved ? `, ${cardsRemoved} removed` : ''
+    }.`
+  );
+
+  const indexHtml = renderIndex(
+    birdSummaries,
+    collectionStats,
+    null,
+    featuredImages,
+    recentCaptures,
+    families,
+    statuses,
+    buildLifeListStats(populatedBirds)
+  );
+  writeOutput(path.join(SITE_DIR, 'index.html'), indexHtml);
+  writeOutput(path.join(PUBLIC_DIR, 'index.html'), indexHtml);
+
+  const targetsDir = path.join(SITE_DIR, 'targets');
+  if (HAS_TARGET_LIST) {
+    writeOutput(path.join(targetsDir, 'index.html'), renderTargetsPage(buildTargetList(populatedBirds)));
+  } else if (fs.existsSync(targetsDir)) {
+    fs.rmSync(targetsDir, { recursive: true, force: true });
+  }
+
   const mapHtml = renderMapPage(
     mapPayload,
     mapStats,
     Array.from(geoSpeciesSet).sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }))
   );
-  const mapDir = path.join(SITE_DIR, 'map');
-  if (!fs.existsSync(mapDir)) {
-    fs.mkdirSync(mapDir, { recursive: true });
-  }
-  fs.writeFileSync(path.join(mapDir, 'index.html'), mapHtml);
+  writeOutput(path.join(SITE_DIR, 'map', 'index.html'), mapHtml);
 
-  const trips = createTripsFromMapPoints(mapPoints, 30, tripExtraCapturesByDay, firstSeenDayBySpecies);
   const tripsHtml = renderTripsPage(trips);
-  const tripsDir = path.join(SITE_DIR, 'trips');
-  if (!fs.existsSync(tripsDir)) {
-    fs.mkdirSync(tripsDir, { recursive: true });
+  writeOutput(path.join(SITE_DIR, 'trips', 'index.html'), tripsHtml);
+  trips.forEach((trip, index) => {
+    writeOutput(path.join(SITE_DIR, 'trips', trip.id, 'index.html'), renderTripPage(trip, trips[index - 1], trips[index + 1]));
+    writeOutput(path.join(SITE_DIR, 'trips', trip.id, 'ebird.csv'), renderEbirdChecklistCsv(trip));
+  });
+  const tripPagesRemoved = pruneTripPages(trips);
+  if (tripPagesRemoved > 0) {
+    console.log(`Removed ${tripPagesRemoved} stale trip page${tripPagesRemoved === 1 ? '' : 's'}.`);
   }
-  fs.writeFileSync(path.join(tripsDir, 'index.html'), tripsHtml);
+  writeOutput(path.join(SITE_DIR, 'search.json'), JSON.stringify(buildSearchIndex(populatedBirds, mapPoints, trips)));
 
   const galleryItems = populatedBirds.flatMap((bird) => {
-    const speciesHref = `/${toWebPath('birdopedia', bird.name, 'index.html')}`;
+    const speciesHref = speciesPath(bird.name);
     return bird.images.map((image) => ({
       id: `${bird.name}-${image.filename}`,
-      src: image.src,
-      thumbSrc: image.thumbSrc,
+      ...pickImageSources(image),
       bird: bird.name,
       speciesHref,
       filename: image.filename,
+      pageHref: image.pageHref,
       camera: image.camera,
       lens: image.lens,
       captureDate: image.captureDate,
       captureDateIso: image.captureDateIso,
+      captureDateLocal: image.captureDateLocal,
       aperture: image.aperture,
       exposure: image.exposure,
       iso: image.iso,
       focalLength: image.focalLength,
+      title: image.title || null,
+      caption: image.caption || null,
+      rating: Number.isFinite(image.rating) ? image.rating : null,
       width: Number.isFinite(image.width) ? image.width : null,
       height: Number.isFinite(image.height) ? image.height : null
     }));
@@ -2312,7 +5517,7 @@ async function build() {
     }
     return a.bird.localeCompare(b.bird);
   });
-  fs.writeFileSync(path.join(SITE_DIR, 'gallery.json'), JSON.stringify(galleryItems, null, 2));
+  writeOutput(path.join(SITE_DIR, 'gallery.json'), JSON.stringify(galleryItems, null, 2));
   const galleryFilters = {
     cameras: Array.from(new Set(galleryItems.map((item) => item.camera).filter(Boolean))).sort((a, b) =>
       a.localeCompare(b, 'en', { sensitivity: 'base' })
@@ -2326,32 +5531,93 @@ async function build() {
     totalSpecies: new Set(galleryItems.map((item) => item.bird)).size
   };
   const galleryHtml = renderGalleryPage(galleryFilters, galleryStats);
-  const galleryDir = path.join(SITE_DIR, 'gallery');
-  if (!fs.existsSync(galleryDir)) {
-    fs.mkdirSync(galleryDir, { recursive: true });
-  }
-  fs.writeFileSync(path.join(galleryDir, 'index.html'), galleryHtml);
+  writeOutput(path.join(SITE_DIR, 'gallery', 'index.html'), galleryHtml);
 
+  const tripByImage = new Map();
+  trips.forEach((trip) => {
+    trip.images.forEach((image) => {
+      tripByImage.set(`${image.bird}/${image.filename}`, trip);
+    });
+  });
+
+  let photoPageCount = 0;
+  let photoPagesRemoved = 0;
   populatedBirds.forEach((bird) => {
     const ebirdInfo = ebird.species?.[bird.name];
     const birdHtml = renderBirdPage(bird, ebirdInfo);
-    const birdDir = path.join(SITE_DIR, bird.name);
-    if (!fs.existsSync(birdDir)) {
-      fs.mkdirSync(birdDir, { recursive: true });
-    }
-    fs.writeFileSync(path.join(birdDir, 'index.html'), birdHtml);
+    writeOutput(path.join(SITE_DIR, bird.name, 'index.html'), birdHtml);
+    bird.images.forEach((image, index) => {
+      const trip = tripByImage.get(`${bird.name}/${image.filename}`) || null;
+      writeOutput(path.join(SITE_DIR, bird.name, image.slug, 'index.html'), renderPhotoPage(bird, index, trip));
+      photoPageCount += 1;
+    });
+    photoPagesRemoved += prunePhotoPages(bird);
   });
+  if (photoPagesRemoved > 0) {
+    console.log(`Removed ${photoPagesRemoved} stale photo page${photoPagesRemoved === 1 ? '' : 's'}.`);
+  }
+
+  const latestCaptureDate = toSitemapDate(allDates[allDates.length - 1]);
+  const sitemapEntries = [
+    { path: sitePath(), lastmod: latestCaptureDate },
+    { path: sitePath('map', ''), lastmod: toSitemapDate(geoDates[geoDates.length - 1]) },
+    { path: sitePath('gallery', ''), lastmod: latestCaptureDate },
+    { path: sitePath('trips', ''), lastmod: trips.map((trip) => trip.endDayKey).sort().pop() || null },
+    ...trips.map((trip) => ({ path: sitePath('trips', trip.id, ''), lastmod: trip.endDayKey })),
+    ...(HAS_TARGET_LIST ? [{ path: sitePath('targets', ''), lastmod: null }] : []),
+    ...populatedBirds.flatMap((bird) => [
+      { path: sitePath(bird.name, ''), lastmod: toSitemapDate(bird.latestIso) },
+      ...bird.images.map((image) => ({
+        path: sitePath(bird.name, image.slug, ''),
+        lastmod: toSitemapDate(image.captureDateIso)
+      }))
+    ])
+  ];
+  writeOutput(path.join(PUBLIC_DIR, 'robots.txt'), renderRobots());
+  if (SITE_ORIGIN) {
+    writeOutput(path.join(SITE_DIR, 'sitemap.xml'), renderSitemap(sitemapEntries));
+  } else {
+    fs.rmSync(path.join(SITE_DIR, 'sitemap.xml'), { force: true });
+    console.warn('Warning: siteOrigin is not set in config.json; skipped sitemap.xml and the feeds.');
+  }
 
-  if (avifCreated > 0) {
-    console.log(`Generated ${avifCreated} AVIF file(s).`);
+  writeOutput(path.join(SITE_DIR, 'offline', 'index.html'), renderOfflinePage(populatedBirds));
+  writeOutput(path.join(SITE_DIR, 'manifest.webmanifest'), renderManifest());
+  for (const size of APP_ICON_SIZES) {
+    writeOutput(path.join(SITE_DIR, 'icons', `icon-${size}.png`), await renderAppIcon(size));
   }
-  if (thumbCreated > 0) {
-    console.log(`Generated ${thumbCreated} thumbnail file(s).`);
+  // Written last: its cache versions hash every other output of this build.
+  writeOutput(path.join(SITE_DIR, 'sw.js'), renderServiceWorker(populatedBirds));
+
+  console.log(
+    `Image variants: ${imageSummary.created} created, ${imageSummary.failed} failed, ${imageSummary.skipped} skipped.`
+  );
+  saveBuildCache(listedImageKeys);
+  console.log(`Metadata cache: ${imageCacheStats.hits} reused, ${imageCacheStats.misses} read from EXIF.`);
+  console.log(`Wrote ${outputStats.written} file(s), ${outputStats.unchanged} unchanged.`);
+  console.log(
+    `Built ${populatedBirds.length} bird page(s), ${photoPageCount} photo page(s) and ${trips.length} trip page(s).`
+  );
+  if (EBIRD_EXPORT_KEYS) {
+    exportEbirdChecklists(trips, EBIRD_EXPORT_KEYS);
   }
-  console.log(`Built ${populatedBirds.length} bird page(s).`);
 }
 
-build().catch((error) => {
-  console.error('Build failed.', error);
-  process.exitCode = 1;
-});
+if (require.main === module) {
+  build().catch((error) => {
+    console.error('Build failed.', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseGpxTrack,
+  parseKmlTrack,
+  parseFitTrack,
+  snapToGrid,
+  resolveLocationPrivacy,
+  applyLocationPrivacy,
+  needsDownloadCopy,
+  assignPhotoSlugs,
+  renderEbirdChecklistCsv
+};
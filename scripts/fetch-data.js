@@ -11,9 +11,13 @@ const WIKIDATA_PATH = path.join(DATA_DIR, 'wikidata.json');
 const WIKIPEDIA_PATH = path.join(DATA_DIR, 'wikipedia.json');
 const XENOCANTO_PATH = path.join(DATA_DIR, 'xenocanto.json');
 const GEOCODE_PATH = path.join(DATA_DIR, 'geocode.json');
+const TRACK_GEOTAGS_PATH = path.join(DATA_DIR, 'track-geotags.json');
 const OVERRIDES_PATH = path.join(DATA_DIR, 'ebird.overrides.json');
+const EBIRD_EXPORT_PATH = path.join(DATA_DIR, 'ebird-export.json');
+const SEEN_PATH = path.join(DATA_DIR, 'seen.json');
 const ENV_PATH = path.join(ROOT, '.env');
 const HARD_REFRESH = process.argv.includes('--hard');
+const GENERATED_VARIANT_PATTERN = /\.\d+w\.(avif|webp)$/i;
 const PARK_MAX_DISTANCE_MILES = 0.5;
 const PROTECTED_MAX_DISTANCE_MILES = 1.0;
 const KM_PER_MILE = 1.609344;
@@ -84,7 +88,7 @@ function listImages(birdDir) {
     .readdirSync(fullPath, { withFileTypes: true })
     .filter((entry) => entry.isFile())
     .map((entry) => entry.name)
-    .filter((name) => /\.(jpe?g|png|webp)$/i.test(name))
+    .filter((name) => /\.(jpe?g|png|webp)$/i.test(name) && !GENERATED_VARIANT_PATTERN.test(name))
     .sort((a, b) => a.localeCompare(b));
 }
 
@@ -195,6 +199,8 @@ function formatLocation(address = {}, payload = {}) {
     address.state_district ||
     null;
   const country = address.country || null;
+  const countryCode = address.country_code ? String(address.country_code).toUpperCase() : null;
+  const stateCode = String(address['ISO3166-2-lvl4'] || '').split('-')[1] || null;
   const park = extractParkName(address, payload);
   const site = extractSiteName(address, payload);
   const parts = [city, state, country].filter(Boolean);
@@ -204,6 +210,8 @@ function formatLocation(address = {}, payload = {}) {
     city,
     state,
     country,
+    stateCode,
+    countryCode,
     label: parts.join(', ')
   };
 }
@@ -452,7 +460,9 @@ async function reverseGeocode(lat, lon, email, cache, options = {}) {
       site: location.site,
       city: location.city,
       state: location.state,
-      country: location.country
+      country: location.country,
+      stateCode: location.stateCode,
+      countryCode: location.countryCode
     };
     cache.points[key] = entry;
     cache.updatedAt = new Date().toISOString();
@@ -732,6 +742,7 @@ async function fetchEbirdSpecies(token) {
     return {
       payload: {
         species: {},
+        targets: {},
         source: {
           name: 'eBird API',
           url: 'https://ebird.org',
@@ -789,6 +800,36 @@ async function fetchEbirdSpecies(token) {
     };
   });
 
+  // Species seen (My eBird export or data/seen.json) but not photographed, for the targets page.
+  const exportSpecies = readJson(EBIRD_EXPORT_PATH, { species: {} }).species || {};
+  const photographedCodes = new Set(Object.values(species).map((entry) => entry.speciesCode));
+  const targets = {};
+  const unmatchedTargets = [];
+  Array.from(new Set([...Object.keys(exportSpecies), ...Object.keys(readJson(SEEN_PATH, { species: {} }).species || {})]))
+    .filter((name) => !species[name])
+    .forEach((name) => {
+      const scientificName = exportSpecies[name]?.scientificName;
+      const record =
+        taxonomyByName[normalizeName(name)] || (scientificName && taxonomy.find((entry) => entry.sciName === scientificName));
+      if (!record) {
+        unmatchedTargets.push(name);
+        return;
+      }
+      if (photographedCodes.has(record.speciesCode)) {
+        return;
+      }
+      targets[name] = {
+        scientificName: record.sciName,
+        speciesCode: record.speciesCode,
+        family: record.familyComName,
+        order: record.order,
+        taxonOrder: record.taxonOrder
+      };
+    });
+  if (unmatchedTargets.length) {
+    console.warn(`No eBird match for these seen species: ${unmatchedTargets.join(', ')}.`);
+  }
+
   if (missing.length) {
     console.warn('No eBird match for these folders:');
     missing.forEach((name) => console.warn(`- ${name}`));
@@ -801,6 +842,7 @@ async function fetchEbirdSpecies(token) {
   return {
     payload: {
       species,
+      targets,
       source: {
         name: 'eBird API',
         url: 'https://ebird.org',
@@ -808,7 +850,8 @@ async function fetchEbirdSpecies(token) {
       }
     },
     reusedCount,
-    fetchedCount
+    fetchedCount,
+    targetsChanged: JSON.stringify(targets) !== JSON.stringify(existing.targets || {})
   };
 }
 
@@ -1517,13 +1560,21 @@ async function fetchGeocodes(birdFolders, email) {
       }
     }
   }
+  // Positions the build inferred from track logs for photos without GPS.
+  Object.values(readJson(TRACK_GEOTAGS_PATH, {})).forEach(({ lat, lon } = {}) => {
+    const key = geocodeKey(lat, lon);
+    if (key && !targets.has(key)) {
+      targets.set(key, { lat, lon });
+    }
+  });
 
   const missingKeys = Array.from(targets.keys()).filter((key) => {
     if (HARD_REFRESH) {
       return true;
     }
     const entry = cache.points[key];
-    return !entry;
+    // Entries saved before region codes were recorded are fetched once more.
+    return !entry || !('countryCode' in entry);
   });
   let fetchedCount = 0;
   let reusedCount = Object.keys(cache.points).length;
@@ -1535,7 +1586,7 @@ async function fetchGeocodes(birdFolders, email) {
       if (!target) {
         continue;
       }
-      const forceRefresh = HARD_REFRESH;
+      const forceRefresh = HARD_REFRESH || Boolean(cache.points[key]);
       const result = await reverseGeocode(target.lat, target.lon, email, cache, { forceRefresh });
       if (result === 'fetched') {
         fetchedCount += 1;
@@ -1563,11 +1614,14 @@ async function main() {
 
   const ebirdResult = await fetchEbirdSpecies(token);
   const ebirdPayload = ebirdResult.payload;
-  const shouldWriteEbird = HARD_REFRESH || ebirdResult.fetchedCount > 0 || !fs.existsSync(EBIRD_PATH);
+  const shouldWriteEbird =
+    HARD_REFRESH || ebirdResult.fetchedCount > 0 || ebirdResult.targetsChanged || !fs.existsSync(EBIRD_PATH);
   if (shouldWriteEbird) {
     fs.writeFileSync(EBIRD_PATH, JSON.stringify(ebirdPayload, null, 2));
     console.log(
-      `Wrote ${Object.keys(ebirdPayload.species || {}).length} species to ${EBIRD_PATH} (fetched ${ebirdResult.fetchedCount}, reused ${ebirdResult.reusedCount}).`
+      `Wrote ${Object.keys(ebirdPayload.species || {}).length} species and ${
+        Object.keys(ebirdPayload.targets || {}).length
+      } seen-only species to ${EBIRD_PATH} (fetched ${ebirdResult.fetchedCount}, reused ${ebirdResult.reusedCount}).`
     );
   } else {
     console.log(`No eBird updates; reused ${ebirdResult.reusedCount} cached species.`);
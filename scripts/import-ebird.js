@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const EXPORT_PATH = path.join(DATA_DIR, 'ebird-export.json');
+const DEFAULT_SOURCES = ['MyEBirdData.zip', 'MyEBirdData.csv'].map((name) => path.join(DATA_DIR, name));
+const REQUIRED_COLUMNS = ['Submission ID', 'Common Name', 'Scientific Name', 'Date'];
+
+// Reads the first CSV in a ZIP archive from its central directory; stored and deflated entries only, no ZIP64.
+function readCsvFromZip(buffer) {
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset -= 1) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP archive.');
+  }
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  for (let index = 0; index < entryCount; index += 1) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory.');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (!name.toLowerCase().endsWith('.csv')) {
+      continue;
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      return data.toString('utf8');
+    }
+    if (method === 8) {
+      return zlib.inflateRawSync(data).toString('utf8');
+    }
+    throw new Error(`Unsupported compression in ${name}.`);
+  }
+  throw new Error('No CSV file found in the ZIP archive.');
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((values) => values.some((value) => value.trim()));
+}
+
+// Subspecies groups and forms roll up to their species; spuhs, slashes, hybrids and domestic types are not on a life list.
+function toSpeciesLevel(commonName, scientificName) {
+  const words = scientificName.split(/\s+/).filter(Boolean);
+  if (
+    words.length < 2 ||
+    words.slice(0, 3).includes('x') ||
+    /\bsp\.|\//.test(words.slice(0, 2).join(' ')) ||
+    /\(domestic type\)|\bhybrid\b/i.test(commonName)
+  ) {
+    return null;
+  }
+  const name = commonName.replace(/\s*\([^)]*\)\s*$/, '').trim();
+  return name ? { name, scientificName: `${words[0]} ${words[1]}` } : null;
+}
+
+function toSighting(record) {
+  return {
+    date: record.date,
+    checklistId: record.checklistId,
+    location: record.location || null,
+    region: record.region || null,
+    lat: Number.isFinite(record.lat) ? record.lat : null,
+    lon: Number.isFinite(record.lon) ? record.lon : null
+  };
+}
+
+function normalizeExport(rows) {
+  const [header, ...records] = rows;
+  const columns = new Map((header || []).map((name, index) => [name.trim(), index]));
+  const missing = REQUIRED_COLUMNS.filter((name) => !columns.has(name));
+  if (missing.length) {
+    throw new Error(`Not a My eBird data export: missing ${missing.join(', ')} column(s).`);
+  }
+  const read = (values, name) => (columns.has(name) ? String(values[columns.get(name)] || '').trim() : '');
+
+  const species = new Map();
+  const checklists = new Set();
+  const years = new Map();
+  let observationCount = 0;
+  let skipped = 0;
+  records.forEach((values) => {
+    const date = read(values, 'Date');
+    const checklistId = read(values, 'Submission ID');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !checklistId) {
+      skipped += 1;
+      return;
+    }
+    const year = date.slice(0, 4);
+    if (!years.has(year)) {
+      years.set(year, { species: new Set(), checklists: new Set() });
+    }
+    years.get(year).checklists.add(checklistId);
+    checklists.add(checklistId);
+    const taxon = toSpeciesLevel(read(values, 'Common Name'), read(values, 'Scientific Name'));
+    if (!taxon) {
+      return;
+    }
+    observationCount += 1;
+    years.get(year).species.add(taxon.name);
+    const record = {
+      date,
+      checklistId,
+      location: read(values, 'Location'),
+      region: [read(values, 'County'), read(values, 'State/Province')].filter(Boolean).join(', '),
+      lat: parseFloat(read(values, 'Latitude')),
+      lon: parseFloat(read(values, 'Longitude'))
+    };
+    const taxonomicOrder = Number(read(values, 'Taxonomic Order'));
+    const entry = species.get(taxon.name);
+    if (!entry) {
+      species.set(taxon.name, {
+        scientificName: taxon.scientificName,
+        taxonomicOrder: Number.isFinite(taxonomicOrder) && taxonomicOrder > 0 ? taxonomicOrder : null,
+        first: record,
+        last: record,
+        checklists: new Set([checklistId]),
+        years: new Set([year])
+      });
+      return;
+    }
+    if (Number.isFinite(taxonomicOrder) && taxonomicOrder > 0 && !(entry.taxonomicOrder <= taxonomicOrder)) {
+      entry.taxonomicOrder = taxonomicOrder;
+    }
+    if (date < entry.first.date) {
+      entry.first = record;
+    }
+    if (date >= entry.last.date) {
+      entry.last = record;
+    }
+    entry.checklists.add(checklistId);
+    entry.years.add(year);
+  });
+
+  const speciesEntries = Array.from(species.entries()).sort(
+    (a, b) => (a[1].taxonomicOrder ?? Infinity) - (b[1].taxonomicOrder ?? Infinity) || a[0].localeCompare(b[0])
+  );
+  return {
+    checklistCount: checklists.size,
+    observationCount,
+    skippedRows: skipped,
+    years: Object.fromEntries(
+      Array.from(years.entries())
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([year, value]) => [year, { species: value.species.size, checklists: value.checklists.size }])
+    ),
+    species: Object.fromEntries(
+      speciesEntries.map(([name, entry]) => [
+        name,
+        {
+          scientificName: entry.scientificName,
+          taxonomicOrder: entry.taxonomicOrder,
+          firstObserved: toSighting(entry.first),
+          lastObserved: toSighting(entry.last),
+          checklistCount: entry.checklists.size,
+          years: Array.from(entry.years).sort()
+        }
+      ])
+    )
+  };
+}
+
+function main() {
+  const argument = process.argv.slice(2).find((arg) => !arg.startsWith('--'));
+  const sourcePath = argument ? path.resolve(argument) : DEFAULT_SOURCES.find((candidate) => fs.existsSync(candidate));
+  if (!sourcePath || !fs.existsSync(sourcePath)) {
+    throw new Error(
+      `No eBird export found. Pass the path to MyEBirdData.zip or MyEBirdData.csv, or save it in ${path.relative(ROOT, DATA_DIR)}/.`
+    );
+  }
+  const buffer = fs.readFileSync(sourcePath);
+  const text = buffer.readUInt32LE(0) === 0x04034b50 ? readCsvFromZip(buffer) : buffer.toString('utf8');
+  const normalized = normalizeExport(parseCsv(text));
+  const payload = {
+    source: { file: path.basename(sourcePath), importedAt: new Date().toISOString() },
+    ...normalized
+  };
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(EXPORT_PATH, JSON.stringify(payload, null, 2));
+  console.log(
+    `Imported ${Object.keys(payload.species).length} species from ${payload.checklistCount} checklist${
+      payload.checklistCount === 1 ? '' : 's'
+    } into ${path.relative(ROOT, EXPORT_PATH)}.`
+  );
+  if (payload.skippedRows) {
+    console.warn(`Skipped ${payload.skippedRows} row${payload.skippedRows === 1 ? '' : 's'} without a date or checklist id.`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message || error);
+    process.exit(1);
+  }
+}
+
+module.exports = { readCsvFromZip, parseCsv, toSpeciesLevel, normalizeExport };
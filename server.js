@@ -1,10 +1,18 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { spawn } = require('child_process');
 
 const ROOT = __dirname;
 const PUBLIC_DIR = path.join(ROOT, 'public');
+const IMG_DIR = path.join(PUBLIC_DIR, 'img');
+const TEMPLATES_DIR = path.join(ROOT, 'templates');
+const DATA_DIR = path.join(ROOT, 'data');
+const BUILD_SCRIPT = path.join(ROOT, 'scripts', 'build.js');
 const PORT = Number(process.env.PORT) || 3000;
+const DEV_MODE = process.argv.includes('--dev');
+const REBUILD_DEBOUNCE_MS = 250;
+const DEV_EVENTS_PATH = '/__dev/events';
 
 const MIME_TYPES = {
   '.html': 'text/html; charset=utf-8',
@@ -14,10 +22,48 @@ const MIME_TYPES = {
   '.jpeg': 'image/jpeg',
   '.png': 'image/png',
   '.webp': 'image/webp',
+  '.avif': 'image/avif',
   '.svg': 'image/svg+xml',
-  '.json': 'application/json; charset=utf-8'
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8'
 };
 
+const DEV_RELOAD_SNIPPET = `<script>
+(() => {
+  const events = new EventSource('${DEV_EVENTS_PATH}');
+  events.addEventListener('reload', (event) => {
+    if (event.data !== 'css') {
+      window.location.reload();
+      return;
+    }
+    document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      const url = new URL(link.href);
+      if (url.origin !== window.location.origin) {
+        return;
+      }
+      url.searchParams.set('reload', String(Date.now()));
+      link.href = url.toString();
+    });
+  });
+})();
+</script>`;
+
+// Dev mode swaps the generated service worker for one that removes itself, so cached pages never mask a rebuild.
+const DEV_SERVICE_WORKER = `self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.map((name) => caches.delete(name))))
+      .then(() => self.registration.unregister())
+  );
+});
+`;
+
+const devClients = new Set();
+
 function safePath(requestUrl) {
   const decoded = decodeURIComponent(requestUrl.split('?')[0]);
   const safeSuffix = decoded.replace(/^\/+/, '');
@@ -28,7 +74,31 @@ function safePath(requestUrl) {
   return resolved;
 }
 
+function handleDevEvents(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 1000\n\n');
+  devClients.add(res);
+  req.on('close', () => {
+    devClients.delete(res);
+  });
+}
+
+function broadcastReload(kind) {
+  devClients.forEach((client) => {
+    client.write(`event: reload\ndata: ${kind}\n\n`);
+  });
+}
+
 const server = http.createServer((req, res) => {
+  if (DEV_MODE && (req.url || '').split('?')[0] === DEV_EVENTS_PATH) {
+    handleDevEvents(req, res);
+    return;
+  }
+
   const filePath = safePath(req.url || '/');
   if (!filePath) {
     res.writeHead(400);
@@ -36,6 +106,12 @@ const server = http.createServer((req, res) => {
     return;
   }
 
+  if (DEV_MODE && path.basename(filePath) === 'sw.js') {
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'], 'Cache-Control': 'no-store' });
+    res.end(DEV_SERVICE_WORKER);
+    return;
+  }
+
   const candidate = fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()
     ? path.join(filePath, 'index.html')
     : filePath;
@@ -48,11 +124,119 @@ const server = http.createServer((req, res) => {
     }
     const ext = path.extname(candidate).toLowerCase();
     const contentType = MIME_TYPES[ext] || 'application/octet-stream';
-    res.writeHead(200, { 'Content-Type': contentType });
+    const headers = { 'Content-Type': contentType };
+    if (DEV_MODE) {
+      headers['Cache-Control'] = 'no-store';
+    }
+    res.writeHead(200, headers);
+    if (DEV_MODE && ext === '.html') {
+      res.end(data.toString('utf8').replace('</body>', `${DEV_RELOAD_SNIPPET}\n  </body>`));
+      return;
+    }
     res.end(data);
   });
 });
 
+function classifyChange(root, eventType, filename) {
+  const name = String(filename || '');
+  if (root === IMG_DIR) {
+    const basename = path.basename(name);
+    if (/\.\d+w\.(avif|webp)$/i.test(basename) || /\.avif$/i.test(basename)) {
+      return null;
+    }
+    return 'site';
+  }
+  if (root === DATA_DIR) {
+    if (/\.(gpx|kml|fit|md)$/i.test(name)) {
+      return 'site';
+    }
+    if (!name.endsWith('.json') || ['build-cache.json', 'track-geotags.json', 'trip-ids.json', 'photo-slugs.json'].includes(path.basename(name))) {
+      return null;
+    }
+    return 'site';
+  }
+  if (root === TEMPLATES_DIR) {
+    // The build prepends its config to sw.js, and the worker's precache list names every template script.
+    if (path.basename(name) === 'sw.js' || (eventType === 'rename' && name.endsWith('.js'))) {
+      return 'site';
+    }
+    return name.endsWith('.css') ? 'css' : 'assets';
+  }
+  return null;
+}
+
+function startDevWatcher() {
+  let running = false;
+  let pending = null;
+  let timer = null;
+
+  // 'site' re-renders everything, reusing the build cache; 'assets' and 'css' only recopy templates.
+  const mergeKinds = (current, next) => {
+    if (!current) {
+      return next;
+    }
+    if (current === 'site' || next === 'site') {
+      return 'site';
+    }
+    return current === next ? current : 'assets';
+  };
+
+  const runBuild = (kind) => {
+    running = true;
+    const args = [BUILD_SCRIPT];
+    if (kind !== 'site') {
+      args.push('--assets-only');
+    }
+    const startedAt = Date.now();
+    const child = spawn(process.execPath, args, { cwd: ROOT, stdio: 'inherit' });
+    child.on('exit', (code) => {
+      running = false;
+      if (code === 0) {
+        console.log(`Dev: ${kind === 'site' ? 'rebuilt site' : 'copied templates'} in ${Date.now() - startedAt} ms.`);
+        broadcastReload(kind === 'css' ? 'css' : 'page');
+      } else {
+        console.warn(`Dev: build exited with code ${code}.`);
+      }
+      if (pending) {
+        const nextKind = pending;
+        pending = null;
+        runBuild(nextKind);
+      }
+    });
+  };
+
+  const schedule = (kind) => {
+    pending = mergeKinds(pending, kind);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (running || !pending) {
+        return;
+      }
+      const nextKind = pending;
+      pending = null;
+      runBuild(nextKind);
+    }, REBUILD_DEBOUNCE_MS);
+  };
+
+  [IMG_DIR, TEMPLATES_DIR, DATA_DIR].forEach((root) => {
+    if (!fs.existsSync(root)) {
+      fs.mkdirSync(root, { recursive: true });
+    }
+    fs.watch(root, { recursive: true }, (eventType, filename) => {
+      const kind = classifyChange(root, eventType, filename);
+      if (kind) {
+        schedule(kind);
+      }
+    });
+  });
+
+  runBuild('site');
+}
+
 server.listen(PORT, () => {
   console.log(`Birdopedia server running at http://localhost:${PORT}`);
+  if (DEV_MODE) {
+    console.log('Dev mode: watching public/img, templates/ and data/ for changes.');
+    startDevWatcher();
+  }
 });
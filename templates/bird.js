@@ -26,7 +26,7 @@
     return;
   }
 
-  const formatLocal = (value) => {
+  const formatLocal = (value, timeZone) => {
     if (!value) {
       return 'Unknown';
     }
@@ -34,14 +34,20 @@
     if (Number.isNaN(date.getTime())) {
       return 'Unknown';
     }
-    return new Intl.DateTimeFormat(undefined, {
+    const options = {
       year: 'numeric',
       month: 'short',
       day: '2-digit',
       hour: '2-digit',
       minute: '2-digit',
-      second: '2-digit'
-    }).format(date);
+      second: '2-digit',
+      timeZoneName: timeZone ? 'short' : undefined
+    };
+    try {
+      return new Intl.DateTimeFormat(undefined, { ...options, timeZone: timeZone || undefined }).format(date);
+    } catch (error) {
+      return new Intl.DateTimeFormat(undefined, options).format(date);
+    }
   };
 
   const times = document.querySelectorAll('time[data-capture]');
@@ -50,7 +56,7 @@
       return;
     }
     const value = node.dataset.capture;
-    node.textContent = formatLocal(value);
+    node.textContent = formatLocal(value, node.dataset.timeZone);
   });
 
   const preview = document.querySelector('[data-preview]');
@@ -61,8 +67,14 @@
     if (!img) {
       return null;
     }
+    const picture = img.closest('picture');
+    const readSrcset = (type) => picture?.querySelector(`source[type="${type}"]`)?.getAttribute('srcset') || '';
     return {
       src: img.currentSrc || img.src,
+      sources: {
+        avif: readSrcset('image/avif'),
+        webp: readSrcset('image/webp')
+      },
       alt: img.alt || 'Photo preview',
       meta: {
         aperture: img.dataset.aperture || '',
@@ -71,7 +83,9 @@
         focal: img.dataset.focal || '',
         captureDate: formatLocal(img.dataset.captionDate),
         camera: img.dataset.captionCamera || '',
-        lens: img.dataset.captionLens || ''
+        lens: img.dataset.captionLens || '',
+        title: img.dataset.title || '',
+        caption: img.dataset.caption || ''
       }
     };
   };
@@ -81,6 +95,7 @@
     const dots = Array.from(carousel.querySelectorAll('.carousel__dot'));
     const viewport = carousel.querySelector('.carousel__viewport');
     const caption = carousel.querySelector('[data-caption]');
+    const titleNode = carousel.querySelector('[data-carousel-title]');
     const metaContainer = carousel.querySelector('[data-carousel-meta]');
     const mapLink = document.querySelector('[data-map-link]');
     let index = 0;
@@ -120,6 +135,20 @@
         const parts = [date, camera, lens].filter(Boolean);
         caption.textContent = parts.join(' • ');
       }
+      if (titleNode) {
+        const title = images[index].dataset.title || '';
+        const text = images[index].dataset.caption || '';
+        titleNode.replaceChildren();
+        if (title) {
+          const strong = document.createElement('strong');
+          strong.textContent = title;
+          titleNode.append(strong);
+        }
+        if (text) {
+          titleNode.append(`${title ? ' ' : ''}${text}`);
+        }
+        titleNode.hidden = !title && !text;
+      }
       setMeta(images[index]);
       if (mapLink) {
         const species = mapLink.dataset.species || '';
@@ -135,7 +164,9 @@
         } else {
           params.set('focus', 'latest');
         }
-        mapLink.href = `/birdopedia/map/index.html?${params.toString()}`;
+        const url = new URL(mapLink.href, window.location.href);
+        url.search = params.toString();
+        mapLink.href = url.toString();
       }
     };
 
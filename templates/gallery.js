@@ -35,6 +35,27 @@
     });
   };
 
+  const escapeHtml = (value) =>
+    String(value || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/"/g, '&quot;');
+
+  const { buildSrcset, fallbackSrc } = window.Birdopedia;
+
+  const renderPicture = (item, { alt, sizes, className = 'media-image media-fade' }) => {
+    const img = `<img class="${className}" src="${fallbackSrc(item)}" alt="${alt}" loading="lazy" decoding="async" />`;
+    if (!item.variantBase || !item.variantWidths?.length) {
+      return img;
+    }
+    return `
+      <picture class="media-picture">
+        <source type="image/avif" srcset="${buildSrcset(item, 'avif')}" sizes="${sizes}" />
+        <source type="image/webp" srcset="${buildSrcset(item, 'webp')}" sizes="${sizes}" />
+        ${img}
+      </picture>`;
+  };
+
   let items = [];
   let sortedItems = [];
   let cursor = 0;
@@ -60,7 +81,11 @@
       return null;
     }
     return {
-      src: `/${item.src}`,
+      src: fallbackSrc(item),
+      sources: {
+        avif: buildSrcset(item, 'avif'),
+        webp: buildSrcset(item, 'webp')
+      },
       alt: `${item.bird || 'Bird'} photograph`,
       meta: {
         aperture: item.aperture || '',
@@ -69,7 +94,9 @@
         focal: item.focalLength || '',
         captureDate: item.captureDate || '',
         camera: item.camera || '',
-        lens: item.lens || ''
+        lens: item.lens || '',
+        title: item.title || '',
+        caption: item.caption || ''
       }
     };
   };
@@ -108,14 +135,16 @@
       const card = document.createElement('button');
       card.type = 'button';
       card.className = 'gallery-card';
-      const imageSrc = item.thumbSrc || item.src;
       const ratio = item.width && item.height ? `${item.width} / ${item.height}` : '3 / 2';
       card.innerHTML = `
         <div class="gallery-card__media media-frame zoomable" style="aspect-ratio: ${ratio};">
-          <img class="media-image media-fade" src="/${imageSrc}" alt="${item.bird} photograph" loading="lazy" decoding="async" />
+          ${renderPicture(item, {
+            alt: `${item.bird} photograph`,
+            sizes: '(min-width: 1200px) 25vw, (min-width: 700px) 50vw, 100vw'
+          })}
           <span class="zoom-indicator" aria-hidden="true"></span>
           <div class="gallery-card__meta">
-            <span>${item.bird}</span>
+            <span>${item.title ? escapeHtml(item.title) : item.bird}</span>
             <span>${item.captureDate || 'Unknown date'}</span>
           </div>
         </div>
@@ -168,6 +197,14 @@
       current.sort((a, b) => a.bird.localeCompare(b.bird));
       return current;
     }
+    if (mode === 'rating') {
+      current.sort(
+        (a, b) =>
+          (b.rating || 0) - (a.rating || 0) ||
+          new Date(b.captureDateIso || 0) - new Date(a.captureDateIso || 0)
+      );
+      return current;
+    }
     return shuffle(current);
   };
 
@@ -193,9 +230,8 @@
     return list.filter((item) => {
       const cameraMatch = !camera || item.camera === camera;
       const lensMatch = !lens || item.lens === lens;
-      const captureDate = item.captureDateIso ? new Date(item.captureDateIso) : null;
-      const itemSeason =
-        captureDate && !Number.isNaN(captureDate.getTime()) ? monthToSeason(captureDate.getMonth()) : '';
+      const captureMonth = item.captureDateLocal ? Number(item.captureDateLocal.slice(5, 7)) - 1 : NaN;
+      const itemSeason = Number.isInteger(captureMonth) ? monthToSeason(captureMonth) : '';
       const seasonMatch = !season || itemSeason === season;
       return cameraMatch && lensMatch && seasonMatch;
     });
@@ -229,7 +265,7 @@
     openPreview(cardIndex);
   });
 
-  fetch('/birdopedia/gallery.json')
+  fetch(grid.dataset.gallerySrc || 'gallery.json')
     .then((res) => res.json())
     .then((data) => {
       if (!Array.isArray(data)) {
@@ -184,11 +184,13 @@
     return;
   }
 
-  const featuredHref = choice.filename
-    ? `${choice.speciesHref}?image=${encodeURIComponent(choice.filename)}`
-    : choice.speciesHref;
+  const featuredHref = choice.pageHref
+    ? choice.pageHref
+    : choice.filename
+      ? `${choice.speciesHref}?image=${encodeURIComponent(choice.filename)}`
+      : choice.speciesHref;
   media.setAttribute('href', featuredHref);
-  img.setAttribute('src', `/${choice.src}`);
+  window.Birdopedia.setPictureSources(img, choice);
   img.setAttribute('alt', `${choice.bird} featured photograph`);
   titleLink.setAttribute('href', featuredHref);
   titleLink.textContent = choice.bird;
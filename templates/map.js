@@ -53,6 +53,10 @@
   const requestedSpecies = params.get('species');
   const requestedFocus = params.get('focus');
   const requestedImage = params.get('image');
+  const requestedLat = Number(params.get('lat'));
+  const requestedLon = Number(params.get('lon'));
+  const requestedZoom = Number(params.get('zoom')) || 11;
+  const hasRequestedView = params.has('lat') && params.has('lon') && Number.isFinite(requestedLat) && Number.isFinite(requestedLon);
 
   const palette = [
     '#c56b2c',
@@ -110,21 +114,44 @@
 
   const markers = new Map();
 
+  const { buildSrcset, fallbackSrc, setPictureSources } = window.Birdopedia;
+
+  const renderPicture = (point, sizes) => {
+    const img = `<img src="${fallbackSrc(point)}" alt="${point.bird} photograph" loading="lazy" decoding="async" />`;
+    if (!point.variantBase || !point.variantWidths?.length) {
+      return img;
+    }
+    return `
+      <picture class="media-picture">
+        <source type="image/avif" srcset="${buildSrcset(point, 'avif')}" sizes="${sizes}" />
+        <source type="image/webp" srcset="${buildSrcset(point, 'webp')}" sizes="${sizes}" />
+        ${img}
+      </picture>`;
+  };
+
+  const getPointHref = (point) => {
+    if (point.pageHref) {
+      return point.pageHref;
+    }
+    return point.filename
+      ? `${point.speciesHref}?image=${encodeURIComponent(point.filename)}`
+      : point.speciesHref;
+  };
+
   const buildPopup = (point) => {
     const metaLine = [point.captureDate, point.camera, point.lens].filter(Boolean).join(' • ');
     const locationLine = point.locationLabel || '';
-    const pointHref = point.filename
-      ? `${point.speciesHref}?image=${encodeURIComponent(point.filename)}`
-      : point.speciesHref;
+    const pointHref = getPointHref(point);
     return `
       <div class="map-popup">
         <a href="${pointHref}">
-          <img src="/${point.src}" alt="${point.bird} photograph" loading="lazy" decoding="async" />
+          ${renderPicture(point, '240px')}
         </a>
         <div class="map-popup__meta">
           <strong>${point.bird}</strong>
           <span>${metaLine || 'Metadata unavailable'}</span>
           ${locationLine ? `<span>${locationLine}</span>` : ''}
+          ${point.inferred ? '<span class="map-popup__note">Position inferred from track log</span>' : ''}
         </div>
       </div>`;
   };
@@ -134,7 +161,7 @@
       return;
     }
     if (spotlightImage) {
-      spotlightImage.src = `/${point.src}`;
+      setPictureSources(spotlightImage, point);
       spotlightImage.alt = `${point.bird} photograph`;
     }
     if (spotlightTitle) {
@@ -150,14 +177,13 @@
         point.aperture,
         point.exposure,
         point.iso,
-        point.locationLabel
+        point.locationLabel,
+        point.inferred ? 'position from track log' : ''
       ].filter(Boolean);
       spotlightMeta.textContent = parts.length ? parts.join(' • ') : 'Metadata unavailable';
     }
     if (spotlightLink) {
-      spotlightLink.href = point.filename
-        ? `${point.speciesHref}?image=${encodeURIComponent(point.filename)}`
-        : point.speciesHref;
+      spotlightLink.href = getPointHref(point);
     }
     applyImageLoadingEffects(spotlight);
   };
@@ -205,7 +231,8 @@
         weight: 2,
         color,
         fillColor: color,
-        fillOpacity: 0.75
+        fillOpacity: point.inferred ? 0.3 : 0.75,
+        dashArray: point.inferred ? '3 3' : null
       });
       marker.bindPopup(buildPopup(point), { maxWidth: 260 });
       marker.on('click', () => updateSpotlight(point));
@@ -271,7 +298,16 @@
             return dateB - dateA;
           })[0] || matching[0] || null;
     }
-    if (target) {
+    if (!target && hasRequestedView) {
+      target = initialPoints
+        .slice()
+        .sort(
+          (a, b) =>
+            Math.hypot(a.lat - requestedLat, a.lon - requestedLon) - Math.hypot(b.lat - requestedLat, b.lon - requestedLon)
+        )[0];
+      map.setView([requestedLat, requestedLon], requestedZoom);
+      updateSpotlight(target);
+    } else if (target) {
       map.flyTo([target.lat, target.lon], 11, { duration: 0.8 });
       updateSpotlight(target);
     }
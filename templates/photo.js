@@ -0,0 +1,115 @@
+(() => {
+  const applyImageLoadingEffects = (root = document) => {
+    const images = Array.from(root.querySelectorAll('img.media-image'));
+    if (!images.length) {
+      return;
+    }
+    images.forEach((img) => {
+      const frame = img.closest('.media-frame');
+      const markLoaded = () => {
+        img.classList.add('is-loaded');
+        if (frame) {
+          frame.classList.add('is-loaded');
+        }
+      };
+      if (img.complete && img.naturalWidth > 0) {
+        markLoaded();
+        return;
+      }
+      img.addEventListener('load', markLoaded, { once: true });
+      img.addEventListener('error', markLoaded, { once: true });
+    });
+  };
+
+  // Times read in the zone the photo was taken in when the build knows it.
+  const formatLocal = (value, timeZone) => {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+    const options = {
+      year: 'numeric',
+      month: 'short',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: timeZone ? 'short' : undefined
+    };
+    try {
+      return new Intl.DateTimeFormat(undefined, { ...options, timeZone: timeZone || undefined }).format(date);
+    } catch (error) {
+      return new Intl.DateTimeFormat(undefined, options).format(date);
+    }
+  };
+
+  document.querySelectorAll('time[data-capture]').forEach((node) => {
+    const formatted = formatLocal(node.getAttribute('data-capture'), node.getAttribute('data-time-zone'));
+    if (formatted) {
+      node.textContent = formatted;
+    }
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+    const target = event.target;
+    if (target instanceof HTMLElement && target.closest('input, textarea, select')) {
+      return;
+    }
+    const rel = event.key === 'ArrowLeft' ? 'prev' : event.key === 'ArrowRight' ? 'next' : null;
+    const link = rel ? document.querySelector(`.photo-pager a[rel="${rel}"]`) : null;
+    if (link) {
+      window.location.href = link.href;
+    }
+  });
+
+  const mapEl = document.getElementById('photo-map');
+  if (mapEl && window.L) {
+    const lat = Number(mapEl.dataset.lat);
+    const lon = Number(mapEl.dataset.lon);
+    const radiusKm = Number(mapEl.dataset.radiusKm);
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      const map = L.map(mapEl, {
+        zoomControl: true,
+        scrollWheelZoom: false,
+        tap: false
+      }).setView([lat, lon], 12);
+      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 19,
+        attribution: '&copy; OpenStreetMap contributors'
+      }).addTo(map);
+      if (radiusKm > 0) {
+        // Generalized locations: show the area, not a pin.
+        const area = L.circle([lat, lon], {
+          radius: (radiusKm * 1000) / 2,
+          weight: 2,
+          color: '#c56b2c',
+          fillColor: '#c56b2c',
+          fillOpacity: 0.15
+        })
+          .bindTooltip(mapEl.dataset.label || '')
+          .addTo(map);
+        map.fitBounds(area.getBounds());
+      } else {
+        const inferred = mapEl.dataset.inferred === 'true';
+        L.circleMarker([lat, lon], {
+          radius: 7,
+          weight: 2,
+          color: '#c56b2c',
+          fillColor: '#c56b2c',
+          fillOpacity: inferred ? 0.3 : 0.75,
+          dashArray: inferred ? '3 3' : null
+        })
+          .bindTooltip(mapEl.dataset.label || '')
+          .addTo(map);
+      }
+    }
+  }
+
+  applyImageLoadingEffects();
+})();
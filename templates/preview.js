@@ -11,11 +11,15 @@
     }
 
     const previewImage = preview.querySelector('.preview-modal__image');
+    const previewSources = Array.from(preview.querySelectorAll('[data-preview-source]'));
     const closeButton = preview.querySelector('[data-preview-close]');
     const previewPrev = preview.querySelector('[data-preview-dir="prev"]');
     const previewNext = preview.querySelector('[data-preview-dir="next"]');
     const infoPanel = preview.querySelector('[data-preview-info]');
     const statsPanel = preview.querySelector('[data-preview-stats]');
+    const captionPanel = preview.querySelector('[data-preview-caption]');
+    const captionTitle = preview.querySelector('[data-preview-title]');
+    const captionText = preview.querySelector('[data-preview-text]');
     const zoom = {
       scale: 1,
       x: 0,
@@ -131,7 +135,21 @@
       if (statsPanel) {
         statsPanel.hidden = !hasStats;
       }
-      infoPanel.hidden = !hasStats;
+      const title = meta.title || '';
+      const caption = meta.caption || '';
+      const hasCaption = Boolean(captionPanel && (title || caption));
+      if (captionPanel) {
+        captionPanel.hidden = !hasCaption;
+      }
+      if (captionTitle) {
+        captionTitle.textContent = title;
+        captionTitle.hidden = !title;
+      }
+      if (captionText) {
+        captionText.textContent = caption;
+        captionText.hidden = !caption;
+      }
+      infoPanel.hidden = !hasStats && !hasCaption;
     };
 
     const setPreviewItem = (item) => {
@@ -139,6 +157,14 @@
         return;
       }
       resetZoom();
+      previewSources.forEach((source) => {
+        const srcset = item.sources?.[source.getAttribute('data-preview-source')] || '';
+        if (srcset) {
+          source.setAttribute('srcset', srcset);
+        } else {
+          source.removeAttribute('srcset');
+        }
+      });
       previewImage.src = item.src;
       previewImage.alt = item.alt || 'Photo preview';
       setPreviewMeta(item);
@@ -173,6 +199,7 @@
       resetZoom();
       preview.classList.remove('is-active');
       preview.setAttribute('aria-hidden', 'true');
+      previewSources.forEach((source) => source.removeAttribute('srcset'));
       previewImage.removeAttribute('src');
       document.body.classList.remove('preview-open');
       if (infoPanel) {
@@ -325,6 +352,32 @@
     };
   };
 
+  const buildSrcset = (item, format) =>
+    (item.variantWidths || []).map((width) => `/${item.variantBase}.${width}w.${format} ${width}w`).join(', ');
+
+  // Browsers that skip <source> get a mid-size WebP instead of the full original.
+  const fallbackSrc = (item) => {
+    const widths = item.variantWidths || [];
+    if (!item.variantBase || !widths.length) {
+      return `/${item.originalSrc || item.src}`;
+    }
+    return `/${item.variantBase}.${widths[Math.floor((widths.length - 1) / 2)]}w.webp`;
+  };
+
+  const setPictureSources = (img, item) => {
+    const picture = img.closest('picture');
+    if (picture) {
+      picture.querySelectorAll('source').forEach((source) => {
+        const format = source.getAttribute('type') === 'image/webp' ? 'webp' : 'avif';
+        source.setAttribute('srcset', buildSrcset(item, format));
+      });
+    }
+    img.setAttribute('src', fallbackSrc(item));
+  };
+
   window.Birdopedia = window.Birdopedia || {};
   window.Birdopedia.createPreviewController = createPreviewController;
+  window.Birdopedia.buildSrcset = buildSrcset;
+  window.Birdopedia.fallbackSrc = fallbackSrc;
+  window.Birdopedia.setPictureSources = setPictureSources;
 })();
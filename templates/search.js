@@ -0,0 +1,256 @@
+(() => {
+  const form = document.querySelector('[data-site-search]');
+  if (!form) {
+    return;
+  }
+  const input = form.querySelector('.site-search__input');
+  const results = form.querySelector('.site-search__results');
+  if (!input || !results) {
+    return;
+  }
+
+  const GROUPS = [
+    { key: 'species', label: 'Species' },
+    { key: 'place', label: 'Places' },
+    { key: 'trip', label: 'Trips' }
+  ];
+  const FIELD_WEIGHTS = { title: 4, subtitle: 3, keywords: 2, text: 1 };
+  const MAX_PER_GROUP = 5;
+
+  let documents = null;
+  let loading = null;
+  let activeIndex = -1;
+
+  const normalize = (value) =>
+    String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+
+  const tokenize = (value) => normalize(value).split(' ').filter(Boolean);
+
+  const escapeHtml = (value) =>
+    String(value || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/"/g, '&quot;');
+
+  // Bounded edit distance (adjacent swaps count once); gives up once every path exceeds maxDistance.
+  const editDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+      return maxDistance + 1;
+    }
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) {
+        return maxDistance + 1;
+      }
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  };
+
+  const allowedTypos = (token) => (token.length >= 7 ? 2 : token.length >= 3 ? 1 : 0);
+
+  const matchToken = (queryToken, tokens) => {
+    let best = 0;
+    const maxDistance = allowedTypos(queryToken);
+    for (const token of tokens) {
+      if (token === queryToken) {
+        return 1;
+      }
+      if (token.startsWith(queryToken)) {
+        best = Math.max(best, 0.8);
+        continue;
+      }
+      if (!maxDistance) {
+        continue;
+      }
+      const whole = editDistance(queryToken, token, maxDistance);
+      const prefix = token.length > queryToken.length
+        ? editDistance(queryToken, token.slice(0, queryToken.length), maxDistance)
+        : whole;
+      const distance = Math.min(whole, prefix);
+      if (distance <= maxDistance) {
+        best = Math.max(best, (whole <= maxDistance ? 0.6 : 0.5) - distance * 0.1);
+      }
+    }
+    return best;
+  };
+
+  const prepare = (payload) =>
+    GROUPS.flatMap((group) => {
+      const key = group.key === 'place' ? 'places' : group.key === 'trip' ? 'trips' : 'species';
+      return (payload[key] || []).map((entry) => ({
+        ...entry,
+        normalizedTitle: normalize(entry.title),
+        fields: Object.keys(FIELD_WEIGHTS).map((field) => ({
+          weight: FIELD_WEIGHTS[field],
+          tokens: Array.from(new Set(tokenize(entry[field])))
+        }))
+      }));
+    });
+
+  const scoreDocument = (doc, queryTokens, normalizedQuery) => {
+    let total = 0;
+    for (const queryToken of queryTokens) {
+      let best = 0;
+      doc.fields.forEach((field) => {
+        const match = matchToken(queryToken, field.tokens);
+        best = Math.max(best, match * field.weight);
+      });
+      if (!best) {
+        return 0;
+      }
+      total += best;
+    }
+    if (doc.normalizedTitle === normalizedQuery) {
+      total += 6;
+    } else if (doc.normalizedTitle.startsWith(normalizedQuery)) {
+      total += 3;
+    } else if (doc.normalizedTitle.includes(normalizedQuery)) {
+      total += 1.5;
+    }
+    return total;
+  };
+
+  const loadIndex = () => {
+    if (documents) {
+      return Promise.resolve(documents);
+    }
+    if (!loading) {
+      loading = fetch(form.dataset.searchSrc || 'search.json')
+        .then((response) => (response.ok ? response.json() : {}))
+        .then((payload) => {
+          documents = prepare(payload || {});
+          return documents;
+        })
+        .catch(() => {
+          loading = null;
+          return [];
+        });
+    }
+    return loading;
+  };
+
+  const getOptions = () => Array.from(results.querySelectorAll('[data-search-option]'));
+
+  const setActive = (index) => {
+    const options = getOptions();
+    activeIndex = options.length ? (index + options.length) % options.length : -1;
+    options.forEach((option, optionIndex) => {
+      const isActive = optionIndex === activeIndex;
+      option.classList.toggle('is-active', isActive);
+      option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+      if (isActive) {
+        option.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  };
+
+  const close = () => {
+    results.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    activeIndex = -1;
+  };
+
+  const renderResults = (query) => {
+    const normalizedQuery = normalize(query);
+    const queryTokens = tokenize(query);
+    if (!queryTokens.length || !documents) {
+      close();
+      return;
+    }
+    const grouped = GROUPS.map((group) => ({
+      ...group,
+      items: documents
+        .filter((doc) => doc.type === group.key)
+        .map((doc) => ({ doc, score: scoreDocument(doc, queryTokens, normalizedQuery) }))
+        .filter((entry) => entry.score > 0)
+        .sort((a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title))
+        .slice(0, MAX_PER_GROUP)
+    })).filter((group) => group.items.length);
+
+    if (!grouped.length) {
+      results.innerHTML = `<p class="site-search__empty">No matches for “${escapeHtml(query.trim())}”.</p>`;
+    } else {
+      results.innerHTML = grouped
+        .map(
+          (group) => `
+            <div class="site-search__group" role="group" aria-label="${group.label}">
+              <p class="site-search__heading">${group.label}</p>
+              ${group.items
+                .map(
+                  ({ doc }) => `
+                <a class="site-search__option" href="${escapeHtml(doc.href)}" role="option" aria-selected="false" data-search-option>
+                  ${doc.thumb ? `<img src="${escapeHtml(doc.thumb)}" alt="" loading="lazy" decoding="async" />` : '<span class="site-search__icon" aria-hidden="true"></span>'}
+                  <span class="site-search__text">
+                    <strong>${escapeHtml(doc.title)}</strong>
+                    <span>${escapeHtml([doc.subtitle, doc.meta].filter(Boolean).join(' • '))}</span>
+                  </span>
+                </a>`
+                )
+                .join('')}
+            </div>`
+        )
+        .join('');
+    }
+    results.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    setActive(0);
+  };
+
+  input.addEventListener('focus', () => {
+    loadIndex().then(() => {
+      if (input.value.trim()) {
+        renderResults(input.value);
+      }
+    });
+  });
+
+  input.addEventListener('input', () => {
+    loadIndex().then(() => renderResults(input.value));
+  });
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (results.hidden) {
+        return;
+      }
+      event.preventDefault();
+      setActive(activeIndex + (event.key === 'ArrowDown' ? 1 : -1));
+      return;
+    }
+    if (event.key === 'Escape') {
+      close();
+    }
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const option = getOptions()[Math.max(activeIndex, 0)];
+    if (option) {
+      window.location.href = option.href;
+    }
+  });
+
+  document.addEventListener('click', (event) => {
+    if (!form.contains(event.target)) {
+      close();
+    }
+  });
+})();
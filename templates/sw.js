@@ -0,0 +1,179 @@
+(() => {
+  // The build prepends `self.BIRDOPEDIA_SW = { ... }` with versions and the precache list.
+  const config = self.BIRDOPEDIA_SW || {};
+  const prefix = config.prefix || 'birdopedia';
+  const SHELL_CACHE = `${prefix}-shell-${config.shellVersion || 'dev'}`;
+  const THUMB_CACHE = `${prefix}-thumbs-${config.imageVersion || 'dev'}`;
+  const IMAGE_CACHE = `${prefix}-images-${config.imageVersion || 'dev'}`;
+  const BUDGET_KEY = '/__birdopedia-image-budget__';
+  const imageBudget = Number(config.imageBudgetBytes) || 150 * 1024 * 1024;
+  const shellUrls = new Set(config.shell || []);
+  const thumbUrls = new Set(config.thumbs || []);
+  const VARIANT_PATTERN = /^(.*)\.(\d+)w\.(avif|webp)$/i;
+
+  const precache = async (cacheName, urls) => {
+    const cache = await caches.open(cacheName);
+    // Add one by one so a single missing file does not abort the install.
+    await Promise.all(
+      urls.map((url) =>
+        cache.add(new Request(url, { cache: 'reload' })).catch(() => {
+          console.warn(`Offline cache: could not fetch ${url}`);
+        })
+      )
+    );
+  };
+
+  self.addEventListener('install', (event) => {
+    event.waitUntil(
+      Promise.all([precache(SHELL_CACHE, Array.from(shellUrls)), precache(THUMB_CACHE, Array.from(thumbUrls))]).then(
+        () => self.skipWaiting()
+      )
+    );
+  });
+
+  self.addEventListener('activate', (event) => {
+    const keep = new Set([SHELL_CACHE, THUMB_CACHE, IMAGE_CACHE]);
+    event.waitUntil(
+      caches
+        .keys()
+        .then((names) =>
+          Promise.all(names.filter((name) => name.startsWith(`${prefix}-`) && !keep.has(name)).map((name) => caches.delete(name)))
+        )
+        .then(() => self.clients.claim())
+    );
+  });
+
+  const readBudget = async (cache) => {
+    const response = await cache.match(BUDGET_KEY);
+    if (!response) {
+      return [];
+    }
+    try {
+      return await response.json();
+    } catch (error) {
+      return [];
+    }
+  };
+
+  // Least recently cached images are evicted first once the budget is exceeded. Updates run one at a time so
+  // concurrent fetches cannot overwrite each other's budget entries.
+  let budgetQueue = Promise.resolve();
+  const storeImage = (request, response) => {
+    const task = budgetQueue.then(() => writeImage(request, response));
+    budgetQueue = task.catch(() => {});
+    return task;
+  };
+
+  const writeImage = async (request, response) => {
+    const cache = await caches.open(IMAGE_CACHE);
+    const blob = await response.clone().blob();
+    if (blob.size > imageBudget) {
+      return;
+    }
+    await cache.put(request, response.clone());
+    const entries = (await readBudget(cache)).filter((entry) => entry.url !== request.url);
+    entries.push({ url: request.url, size: blob.size });
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    while (total > imageBudget && entries.length) {
+      const evicted = entries.shift();
+      total -= evicted.size;
+      await cache.delete(evicted.url);
+    }
+    await cache.put(BUDGET_KEY, new Response(JSON.stringify(entries), { headers: { 'Content-Type': 'application/json' } }));
+  };
+
+  // Offline, any cached width of the same photo is better than a broken image.
+  const findSiblingVariant = async (url) => {
+    const match = url.pathname.match(VARIANT_PATTERN);
+    if (!match) {
+      return null;
+    }
+    const [, base, , format] = match;
+    const candidates = [];
+    for (const cacheName of [IMAGE_CACHE, THUMB_CACHE]) {
+      const cache = await caches.open(cacheName);
+      const keys = await cache.keys();
+      keys.forEach((request) => {
+        const keyUrl = new URL(request.url);
+        const keyMatch = keyUrl.pathname.match(VARIANT_PATTERN);
+        if (keyMatch && keyMatch[1] === base && keyMatch[3].toLowerCase() === format.toLowerCase()) {
+          candidates.push({ cache, request, width: Number(keyMatch[2]) });
+        }
+      });
+    }
+    candidates.sort((a, b) => b.width - a.width);
+    return candidates.length ? candidates[0].cache.match(candidates[0].request) : null;
+  };
+
+  const handleImage = async (request) => {
+    const url = new URL(request.url);
+    const cached = await caches.match(request);
+    if (cached) {
+      return cached;
+    }
+    try {
+      const response = await fetch(request);
+      if (response.ok && VARIANT_PATTERN.test(url.pathname) && !thumbUrls.has(url.pathname)) {
+        storeImage(request, response.clone()).catch(() => {});
+      }
+      return response;
+    } catch (error) {
+      const sibling = await findSiblingVariant(url);
+      if (sibling) {
+        return sibling;
+      }
+      throw error;
+    }
+  };
+
+  const handlePage = async (request) => {
+    const url = new URL(request.url);
+    try {
+      const response = await fetch(request);
+      if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        cache.put(request, response.clone()).catch(() => {});
+      }
+      return response;
+    } catch (error) {
+      const cached =
+        (await caches.match(request, { ignoreSearch: true })) ||
+        (url.pathname.endsWith('/') ? await caches.match(`${url.pathname}index.html`) : null);
+      if (cached) {
+        return cached;
+      }
+      const offline = config.offlinePage ? await caches.match(config.offlinePage) : null;
+      return offline || Response.error();
+    }
+  };
+
+  const handleAsset = async (request) => {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) {
+      return cached;
+    }
+    return fetch(request);
+  };
+
+  self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+      return;
+    }
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+      return;
+    }
+    if (request.mode === 'navigate') {
+      event.respondWith(handlePage(request));
+      return;
+    }
+    if (url.pathname.startsWith('/img/')) {
+      event.respondWith(handleImage(request));
+      return;
+    }
+    if (shellUrls.has(url.pathname)) {
+      event.respondWith(handleAsset(request));
+    }
+  });
+})();
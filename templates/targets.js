@@ -0,0 +1,39 @@
+(() => {
+  const list = document.querySelector('[data-target-list]');
+  const sortSelect = document.getElementById('targets-sort');
+  if (!list || !sortSelect) {
+    return;
+  }
+
+  const items = Array.from(list.querySelectorAll('.target-list__item'));
+  const byName = (a, b) =>
+    (a.dataset.name || '').localeCompare(b.dataset.name || '', 'en', { sensitivity: 'base' });
+  const taxonOrder = (item) => {
+    const value = Number(item.dataset.taxonOrder);
+    return item.dataset.taxonOrder && Number.isFinite(value) ? value : Infinity;
+  };
+  const byTaxonomy = (a, b) => taxonOrder(a) - taxonOrder(b) || byName(a, b);
+
+  // Species without a family or sighting date sink to the bottom of those sorts.
+  const comparators = {
+    taxonomic: byTaxonomy,
+    family: (a, b) => {
+      const familyA = a.dataset.family || '';
+      const familyB = b.dataset.family || '';
+      if (!familyA !== !familyB) {
+        return familyA ? -1 : 1;
+      }
+      return familyA.localeCompare(familyB, 'en', { sensitivity: 'base' }) || byTaxonomy(a, b);
+    },
+    recent: (a, b) => (b.dataset.lastSeen || '').localeCompare(a.dataset.lastSeen || '') || byTaxonomy(a, b),
+    name: byName
+  };
+
+  const applySort = () => {
+    const compare = comparators[sortSelect.value] || comparators.taxonomic;
+    items.sort(compare).forEach((item) => list.appendChild(item));
+  };
+
+  sortSelect.addEventListener('change', applySort);
+  applySort();
+})();
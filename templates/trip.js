@@ -0,0 +1,107 @@
+(() => {
+  const applyImageLoadingEffects = (root = document) => {
+    const images = Array.from(root.querySelectorAll('img.media-image'));
+    if (!images.length) {
+      return;
+    }
+    images.forEach((img) => {
+      const frame = img.closest('.media-frame');
+      const markLoaded = () => {
+        img.classList.add('is-loaded');
+        if (frame) {
+          frame.classList.add('is-loaded');
+        }
+      };
+      if (img.complete && img.naturalWidth > 0) {
+        markLoaded();
+        return;
+      }
+      img.addEventListener('load', markLoaded, { once: true });
+      img.addEventListener('error', markLoaded, { once: true });
+    });
+  };
+
+  const escapeHtml = (value) =>
+    String(value || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/"/g, '&quot;');
+
+  document.addEventListener('keydown', (event) => {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+    const target = event.target;
+    if (target instanceof HTMLElement && target.closest('input, textarea, select')) {
+      return;
+    }
+    const rel = event.key === 'ArrowLeft' ? 'prev' : event.key === 'ArrowRight' ? 'next' : null;
+    const link = rel ? document.querySelector(`.photo-pager a[rel="${rel}"]`) : null;
+    if (link) {
+      window.location.href = link.href;
+    }
+  });
+
+  const ROUTE_COLORS = ['#c56b2c', '#2a6f8d', '#5b7f3a', '#8c4f8f'];
+  const mapEl = document.getElementById('trip-map');
+  const dataNode = document.getElementById('trip-route');
+  if (mapEl && dataNode && window.L) {
+    let route = [];
+    try {
+      const parsed = JSON.parse(dataNode.textContent || '[]');
+      route = Array.isArray(parsed) ? parsed.filter((stop) => Number.isFinite(stop.lat) && Number.isFinite(stop.lon)) : [];
+    } catch (error) {
+      route = [];
+    }
+    if (route.length) {
+      const map = L.map(mapEl, {
+        zoomControl: true,
+        scrollWheelZoom: false,
+        tap: false
+      });
+      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 19,
+        attribution: '&copy; OpenStreetMap contributors'
+      }).addTo(map);
+
+      // Each day of a multi-day trip gets its own line so overnight gaps are not drawn as travel.
+      const days = Array.from(new Set(route.map((stop) => stop.day)));
+      days.forEach((day, dayIndex) => {
+        const color = ROUTE_COLORS[dayIndex % ROUTE_COLORS.length];
+        const stops = route.filter((stop) => stop.day === day);
+        if (stops.length > 1) {
+          L.polyline(
+            stops.map((stop) => [stop.lat, stop.lon]),
+            { color, weight: 3, opacity: 0.8 }
+          ).addTo(map);
+        }
+        stops.forEach((stop, stopIndex) => {
+          const isEnd = stopIndex === 0 || stopIndex === stops.length - 1;
+          L.circleMarker([stop.lat, stop.lon], {
+            radius: isEnd ? 7 : 5,
+            weight: 2,
+            color,
+            fillColor: isEnd ? color : '#ffffff',
+            fillOpacity: 0.9
+          })
+            .bindTooltip(`${escapeHtml(stop.bird)} • ${escapeHtml(stop.time)}`)
+            .on('click', () => {
+              if (stop.href) {
+                window.location.href = stop.href;
+              }
+            })
+            .addTo(map);
+        });
+      });
+
+      const bounds = L.latLngBounds(route.map((stop) => [stop.lat, stop.lon]));
+      if (bounds.getNorthEast().equals(bounds.getSouthWest())) {
+        map.setView(bounds.getCenter(), 14);
+      } else {
+        map.fitBounds(bounds, { padding: [24, 24], maxZoom: 16 });
+      }
+    }
+  }
+
+  applyImageLoadingEffects();
+})();
@@ -47,6 +47,8 @@
     });
   };
 
+  const { buildSrcset, fallbackSrc, setPictureSources } = window.Birdopedia;
+
   const getRandomImageIndex = (trip, currentIndex = -1) => {
     const imageCount = Array.isArray(trip?.images) ? trip.images.length : 0;
     if (imageCount < 2) {
@@ -83,7 +85,7 @@
     }
 
     const { button, imageNode } = elements;
-    const nextSrc = '/' + image.src;
+    const nextSrc = fallbackSrc(image);
     button.setAttribute('data-image-index', String(imageIndex));
     imageNode.alt = image.bird ? image.bird + ' trip cover' : 'Trip cover';
 
@@ -108,7 +110,7 @@
         },
         { once: true }
       );
-      imageNode.src = nextSrc;
+      setPictureSources(imageNode, image);
     };
 
     if (!animate) {
@@ -160,7 +162,11 @@
       return null;
     }
     return {
-      src: '/' + image.src,
+      src: fallbackSrc(image),
+      sources: {
+        avif: buildSrcset(image, 'avif'),
+        webp: buildSrcset(image, 'webp')
+      },
       alt: image.bird ? image.bird + ' trip image' : 'Trip image',
       meta: {
         aperture: image.aperture || '',
@@ -169,7 +175,9 @@
         focal: image.focalLength || '',
         captureDate: image.captureDate || '',
         camera: image.camera || '',
-        lens: image.lens || ''
+        lens: image.lens || '',
+        title: image.title || '',
+        caption: image.caption || ''
       }
     };
   };
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBuild } = require('./load-build');
+const { parseCsv } = require('../scripts/import-ebird');
+
+const { renderEbirdChecklistCsv } = loadBuild({
+  config: { siteTitle: 'Test Birds', siteOrigin: 'https://example.com', basePath: '' },
+  data: {
+    'ebird.json': {
+      species: {
+        'Blue Jay': { scientificName: 'Cyanocitta cristata' },
+        'Northern Cardinal': { scientificName: 'Cardinalis cardinalis' }
+      }
+    },
+    'trips.overrides.json': { trips: { 'test-trip': { counts: { 'Northern Cardinal': 3 } } } }
+  }
+});
+
+const capture = (bird, local, lat, lon, extra = {}) => ({
+  bird,
+  filename: `${bird}-${local}.jpg`,
+  pageHref: `/${encodeURIComponent(bird)}/${local.replace(/\D/g, '')}/index.html`,
+  captureDateIso: `${local}-04:00`,
+  captureDateLocal: local,
+  lat,
+  lon,
+  stateCode: 'US-NY',
+  countryCode: 'US',
+  ...extra
+});
+
+const trip = {
+  id: 'test-trip',
+  locationTitle: 'Battery Park, New York',
+  centroid: { lat: 40.8, lon: -74.1 },
+  species: ['Blue Jay', 'Northern Cardinal'],
+  dayKeys: ['2024-05-01', '2024-05-02'],
+  images: [
+    capture('Blue Jay', '2024-05-01T07:10:00', 40.7, -74.0),
+    capture('Blue Jay', '2024-05-01T07:11:00', 40.7, -74.0),
+    capture('Northern Cardinal', '2024-05-01T08:40:00', 40.71, -74.02),
+    capture('Blue Jay', '2024-05-02T09:00:00', 40.7, -74.0),
+    capture('Northern Cardinal', '2024-05-02T09:30:00', 40.7384, -74.0395, { approximate: true })
+  ]
+};
+
+const rows = parseCsv(renderEbirdChecklistCsv(trip));
+const byDay = (date) => rows.filter((row) => row[8] === date);
+
+test('renderEbirdChecklistCsv writes one 19-column row per species per local day', () => {
+  assert.equal(rows.length, 4);
+  rows.forEach((row) => assert.equal(row.length, 19));
+  assert.deepEqual(
+    byDay('05/01/2024').map((row) => row.slice(0, 3)),
+    [
+      ['Blue Jay', 'Cyanocitta', 'cristata'],
+      ['Northern Cardinal', 'Cardinalis', 'cardinalis']
+    ]
+  );
+});
+
+test('renderEbirdChecklistCsv reports X unless trips.overrides.json gives a count', () => {
+  const [jay, cardinal] = byDay('05/01/2024');
+  assert.equal(jay[3], 'X');
+  assert.equal(cardinal[3], '3');
+  assert.equal(jay[4], '2 photos https://example.com/Blue%20Jay/20240501071000/index.html');
+  assert.match(jay[18], /Species without a count are marked X/);
+  assert.match(jay[18], /https:\/\/example\.com\/trips\/test-trip\/index\.html$/);
+});
+
+test('renderEbirdChecklistCsv places each day at the center of its own captures', () => {
+  const [jay] = byDay('05/01/2024');
+  assert.equal(jay[5], 'Battery Park, New York');
+  assert.equal(jay[6], (40.70333).toFixed(5));
+  assert.equal(jay[7], (-74.00667).toFixed(5));
+  assert.deepEqual(jay.slice(9, 16), ['07:10', 'US-NY', 'US', 'Traveling', '1', '90', 'N']);
+  assert.ok(Number(jay[16]) > 1);
+});
+
+test('renderEbirdChecklistCsv uses the grid cell of a generalized capture instead of averaging it', () => {
+  const [jay] = byDay('05/02/2024');
+  assert.equal(jay[6], '40.73840');
+  assert.equal(jay[7], '-74.03950');
+});
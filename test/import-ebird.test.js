@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { readCsvFromZip, parseCsv, toSpeciesLevel, normalizeExport } = require('../scripts/import-ebird');
+
+// Builds a minimal ZIP archive: local headers, central directory and end record, no data descriptors.
+function zipOf(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(({ name, text, deflate }) => {
+    const raw = Buffer.from(text, 'utf8');
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+test('parseCsv handles quotes, escaped quotes, CRLF and a byte order mark', () => {
+  const rows = parseCsv('\uFEFFName,Notes\r\n"Jay, Blue","said ""jay"""\r\n\r\nCardinal,\n');
+  assert.deepEqual(rows, [
+    ['Name', 'Notes'],
+    ['Jay, Blue', 'said "jay"'],
+    ['Cardinal', '']
+  ]);
+});
+
+test('parseCsv keeps newlines inside quoted fields and a last row without a newline', () => {
+  assert.deepEqual(parseCsv('a,"line one\nline two"\nb,c'), [
+    ['a', 'line one\nline two'],
+    ['b', 'c']
+  ]);
+});
+
+test('readCsvFromZip reads stored and deflated entries and skips files that are not CSV', () => {
+  const csv = 'Submission ID,Common Name\nS1,Blue Jay\n';
+  assert.equal(readCsvFromZip(zipOf([{ name: 'MyEBirdData.csv', text: csv }])), csv);
+  const archive = zipOf([
+    { name: 'readme.txt', text: 'not this one' },
+    { name: 'MyEBirdData.csv', text: csv, deflate: true }
+  ]);
+  assert.equal(readCsvFromZip(archive), csv);
+});
+
+test('readCsvFromZip rejects archives without a CSV and buffers that are not archives', () => {
+  assert.throws(() => readCsvFromZip(zipOf([{ name: 'readme.txt', text: 'hi' }])), /No CSV file/);
+  assert.throws(() => readCsvFromZip(Buffer.alloc(64)), /Not a ZIP archive/);
+});
+
+test('toSpeciesLevel rolls subspecies groups up and drops spuhs, slashes, hybrids and domestics', () => {
+  assert.deepEqual(toSpeciesLevel('Blue Jay', 'Cyanocitta cristata'), {
+    name: 'Blue Jay',
+    scientificName: 'Cyanocitta cristata'
+  });
+  assert.deepEqual(toSpeciesLevel('Dark-eyed Junco (Slate-colored)', 'Junco hyemalis hyemalis/carolinensis'), {
+    name: 'Dark-eyed Junco',
+    scientificName: 'Junco hyemalis'
+  });
+  assert.equal(toSpeciesLevel('gull sp.', 'Larinae sp.'), null);
+  assert.equal(toSpeciesLevel('Greater/Lesser Yellowlegs', 'Tringa melanoleuca/flavipes'), null);
+  assert.equal(toSpeciesLevel('Mallard x American Black Duck (hybrid)', 'Anas platyrhynchos x rubripes'), null);
+  assert.equal(toSpeciesLevel('Mallard (Domestic type)', 'Anas platyrhynchos (Domestic type)'), null);
+  assert.equal(toSpeciesLevel('Accipiter', 'Accipiter'), null);
+});
+
+test('normalizeExport tallies species, checklists and years and skips undated rows', () => {
+  const rows = parseCsv(
+    [
+      'Submission ID,Common Name,Scientific Name,Taxonomic Order,Date,Location',
+      'S1,Blue Jay,Cyanocitta cristata,20000,2023-05-01,Park',
+      'S2,Blue Jay,Cyanocitta cristata,20000,2024-01-02,Yard',
+      'S2,gull sp.,Larinae sp.,9000,2024-01-02,Yard',
+      'S3,Blue Jay,Cyanocitta cristata,20000,,Nowhere'
+    ].join('\n')
+  );
+  const result = normalizeExport(rows);
+  assert.equal(result.checklistCount, 2);
+  assert.equal(result.observationCount, 2);
+  assert.equal(result.skippedRows, 1);
+  assert.deepEqual(result.years, { 2023: { species: 1, checklists: 1 }, 2024: { species: 1, checklists: 1 } });
+  assert.equal(result.species['Blue Jay'].firstObserved.location, 'Park');
+  assert.equal(result.species['Blue Jay'].lastObserved.location, 'Yard');
+  assert.deepEqual(result.species['Blue Jay'].years, ['2023', '2024']);
+  assert.throws(() => normalizeExport([['Common Name']]), /missing Submission ID/);
+});
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loads scripts/build.js against a scratch root, so a developer's own config.json and data/ never leak into tests.
+// Each test file runs in its own process, so this is called once per file.
+function loadBuild({ config = {}, data = {} } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'birdopedia-test-'));
+  fs.mkdirSync(path.join(root, 'data'));
+  fs.writeFileSync(path.join(root, 'config.json'), JSON.stringify(config));
+  Object.entries(data).forEach(([filename, contents]) => {
+    fs.writeFileSync(path.join(root, 'data', filename), JSON.stringify(contents));
+  });
+  process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+  process.env.BIRDOPEDIA_ROOT = root;
+  return require('../scripts/build');
+}
+
+module.exports = { loadBuild };
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBuild } = require('./load-build');
+
+const { snapToGrid, resolveLocationPrivacy, applyLocationPrivacy, needsDownloadCopy } = loadBuild({
+  config: {
+    privacyZones: [
+      { name: 'Home', lat: 40.71, lon: -74.01, radiusKm: 1, action: 'drop' },
+      { name: 'Marsh', lat: 40.72, lon: -74.01, radiusKm: 2, action: 'fuzz' },
+      { name: 'Cape', lat: 41.5, lon: -70.5, radiusKm: 5, action: 'fuzz' }
+    ],
+    sensitiveSpecies: ['Snowy Owl', 'Falcons'],
+    locationGridKm: 10,
+    stripDownloadGps: false
+  },
+  data: {
+    'ebird.json': { species: { 'Peregrine Falcon': { family: 'Falcons' } } },
+    'geocode.json': {
+      points: {
+        '41.5010,-70.5020': { city: 'Chatham', state: 'Massachusetts', stateCode: 'US-MA', country: 'United States', countryCode: 'US' }
+      }
+    }
+  }
+});
+
+const gps = (lat, lon) => ({ lat, lon });
+
+test('snapToGrid maps every point of a cell to the same center within the cell', () => {
+  const center = snapToGrid(41.501, -70.502, 10);
+  assert.ok(Math.abs(center.lat - 41.501) <= 10 / 111.32 / 2);
+  assert.deepEqual(snapToGrid(center.lat + 0.03, center.lon - 0.04, 10), center);
+  assert.deepEqual(snapToGrid(center.lat - 0.03, center.lon + 0.04, 10), center);
+  assert.notDeepEqual(snapToGrid(center.lat + 0.1, center.lon, 10), center);
+});
+
+test('snapToGrid keeps cells near the poles on the map', () => {
+  const cell = snapToGrid(89.99, 10, 10);
+  assert.ok(cell.lat < 90 && cell.lat > 89.9);
+  assert.ok(Math.abs(cell.lon) <= 180);
+});
+
+test('resolveLocationPrivacy drops inside a drop zone, even where a fuzz zone overlaps', () => {
+  assert.equal(resolveLocationPrivacy('Blue Jay', gps(40.7105, -74.0101)), 'drop');
+  assert.equal(resolveLocationPrivacy('Blue Jay', gps(40.716, -74.01)), 'drop');
+});
+
+test('resolveLocationPrivacy fuzzes fuzz zones and sensitive species by name or family', () => {
+  assert.equal(resolveLocationPrivacy('Blue Jay', gps(41.501, -70.502)), 'fuzz');
+  assert.equal(resolveLocationPrivacy('Snowy Owl', gps(35, -100)), 'fuzz');
+  assert.equal(resolveLocationPrivacy('snowy owl', gps(35, -100)), 'fuzz');
+  assert.equal(resolveLocationPrivacy('Peregrine Falcon', gps(35, -100)), 'fuzz');
+  assert.equal(resolveLocationPrivacy('Blue Jay', gps(35, -100)), null);
+});
+
+test('applyLocationPrivacy drops the location, zone and offset of a photo in a drop zone', () => {
+  const stats = { dropped: 0, fuzzed: 0 };
+  const image = {
+    filename: 'IMG_0001.jpg',
+    gps: gps(40.7105, -74.0101),
+    timeZone: 'America/New_York',
+    captureDateIso: '2024-05-01T07:10:00-04:00'
+  };
+  const result = applyLocationPrivacy('Blue Jay', image, stats);
+  assert.equal(result.gps, null);
+  assert.equal(result.timeZone, null);
+  assert.equal(result.captureDateIso, '2024-05-01T11:10:00.000Z');
+  assert.deepEqual(stats, { dropped: 1, fuzzed: 0 });
+});
+
+test('applyLocationPrivacy snaps a fuzzed photo to its cell and keeps only its city and region codes', () => {
+  const stats = { dropped: 0, fuzzed: 0 };
+  const result = applyLocationPrivacy('Blue Jay', { filename: 'IMG_0002.jpg', gps: gps(41.501, -70.502) }, stats);
+  const cell = snapToGrid(41.501, -70.502, 10);
+  assert.equal(result.gps.lat, cell.lat);
+  assert.equal(result.gps.lon, cell.lon);
+  assert.equal(result.gps.approximate, true);
+  assert.deepEqual(result.gps.place, {
+    city: 'Chatham',
+    state: 'Massachusetts',
+    stateCode: 'US-MA',
+    country: 'United States',
+    countryCode: 'US'
+  });
+  assert.deepEqual(stats, { dropped: 0, fuzzed: 1 });
+  const untouched = { filename: 'IMG_0003.jpg', gps: gps(35, -100) };
+  assert.equal(applyLocationPrivacy('Blue Jay', untouched, stats), untouched);
+});
+
+test('protected photos get a GPS-free download copy even when stripDownloadGps is off', () => {
+  assert.equal(needsDownloadCopy('Blue Jay', { gps: gps(40.7105, -74.0101) }), true);
+  assert.equal(needsDownloadCopy('Snowy Owl', { gps: gps(35, -100) }), true);
+  assert.equal(needsDownloadCopy('Blue Jay', { gps: gps(35, -100) }), false);
+  assert.equal(needsDownloadCopy('Snowy Owl', { gps: null }), false);
+});
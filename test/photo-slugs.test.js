@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBuild } = require('./load-build');
+
+const { assignPhotoSlugs } = loadBuild({
+  config: { basePath: '' },
+  data: {
+    'photo-slugs.json': { 'Blue Jay': { 'IMG_1000.jpg': 'img-1000', 'IMG_0999.jpg': 'img-0999' } }
+  }
+});
+
+const slugsOf = (birdName, filenames) =>
+  Object.fromEntries(assignPhotoSlugs(birdName, filenames.map((filename) => ({ filename }))).map((image) => [image.filename, image.slug]));
+
+test('assignPhotoSlugs lowercases the stem and suffixes clashes in locale filename order', () => {
+  assert.deepEqual(slugsOf('Northern Cardinal', ['IMG_2000.jpg', 'img_2000.JPG', 'Sunset at Dusk.webp']), {
+    'IMG_2000.jpg': 'img-2000-2',
+    'img_2000.JPG': 'img-2000',
+    'Sunset at Dusk.webp': 'sunset-at-dusk'
+  });
+});
+
+test('assignPhotoSlugs keeps slugs from earlier builds, so the new file takes the suffix', () => {
+  assert.deepEqual(slugsOf('Blue Jay', ['IMG_1000.jpeg', 'IMG_1000.jpg', 'IMG_1001.jpg']), {
+    'IMG_1000.jpeg': 'img-1000-2',
+    'IMG_1000.jpg': 'img-1000',
+    'IMG_1001.jpg': 'img-1001'
+  });
+});
+
+test('assignPhotoSlugs never hands out the names of the site folders', () => {
+  assert.deepEqual(slugsOf('Snowy Owl', ['Map.jpg', 'trips.png', 'offline.webp']), {
+    'Map.jpg': 'map-2',
+    'trips.png': 'trips-2',
+    'offline.webp': 'offline-2'
+  });
+});
+
+test('assignPhotoSlugs links each photo to its page', () => {
+  const [image] = assignPhotoSlugs('Blue Jay', [{ filename: 'IMG_1000.jpg' }]);
+  assert.equal(image.pageHref, '/Blue%20Jay/img-1000/index.html');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBuild } = require('./load-build');
+
+const { parseGpxTrack, parseKmlTrack, parseFitTrack } = loadBuild();
+
+const FIT_EPOCH_MS = Date.UTC(1989, 11, 31);
+const toSemicircles = (degrees) => Math.round((degrees * 2 ** 31) / 180);
+
+// Header, then a definition and data message per record; `compressed` records use a compressed timestamp header.
+function fitOf(records) {
+  const messages = [];
+  const define = (localType, fieldNumbers) => {
+    const message = Buffer.alloc(6 + fieldNumbers.length * 3);
+    message.writeUInt8(0x40 | localType, 0);
+    message.writeUInt16LE(20, 3);
+    message.writeUInt8(fieldNumbers.length, 5);
+    fieldNumbers.forEach((number, index) => {
+      message.writeUInt8(number, 6 + index * 3);
+      message.writeUInt8(4, 7 + index * 3);
+      message.writeUInt8(number === 253 ? 0x86 : 0x85, 8 + index * 3);
+    });
+    messages.push(message);
+  };
+  define(0, [253, 0, 1]);
+  define(1, [0, 1]);
+  records.forEach(({ timestamp, timeOffset, lat, lon }) => {
+    const compressed = timeOffset !== undefined;
+    const message = Buffer.alloc(compressed ? 9 : 13);
+    message.writeUInt8(compressed ? 0x80 | (1 << 5) | timeOffset : 0, 0);
+    let offset = 1;
+    if (!compressed) {
+      message.writeUInt32LE(timestamp, offset);
+      offset += 4;
+    }
+    message.writeInt32LE(lat === null ? 0x7fffffff : toSemicircles(lat), offset);
+    message.writeInt32LE(lon === null ? 0x7fffffff : toSemicircles(lon), offset + 4);
+    messages.push(message);
+  });
+  const body = Buffer.concat(messages);
+  const header = Buffer.alloc(14);
+  header.writeUInt8(14, 0);
+  header.writeUInt32LE(body.length, 4);
+  header.write('.FIT', 8, 'ascii');
+  return Buffer.concat([header, body, Buffer.alloc(2)]);
+}
+
+test('parseGpxTrack reads each trackpoint with its time', () => {
+  const gpx = `<gpx><trk><trkseg>
+    <trkpt lat="40.7" lon="-74.01"><ele>3</ele><time>2024-05-01T11:00:00Z</time></trkpt>
+    <trkpt lon='-74.02' lat='40.71'><time>2024-05-01T11:05:00Z</time></trkpt>
+  </trkseg></trk></gpx>`;
+  assert.deepEqual(parseGpxTrack(gpx), [
+    { time: Date.parse('2024-05-01T11:00:00Z'), lat: 40.7, lon: -74.01 },
+    { time: Date.parse('2024-05-01T11:05:00Z'), lat: 40.71, lon: -74.02 }
+  ]);
+});
+
+test('parseKmlTrack reads gx:Track coordinates and timestamped placemarks', () => {
+  const kml = `<kml><Document>
+    <Placemark><gx:Track>
+      <when>2024-05-01T11:00:00Z</when><when>2024-05-01T11:01:00Z</when>
+      <gx:coord>-74.01 40.7 3</gx:coord><gx:coord>-74.02 40.71 4</gx:coord>
+    </gx:Track></Placemark>
+    <Placemark><TimeStamp><when>2024-05-01T12:00:00Z</when></TimeStamp><Point><coordinates>-74.03,40.72,0</coordinates></Point></Placemark>
+    <Placemark><name>No time</name></Placemark>
+  </Document></kml>`;
+  assert.deepEqual(parseKmlTrack(kml), [
+    { time: Date.parse('2024-05-01T11:00:00Z'), lat: 40.7, lon: -74.01 },
+    { time: Date.parse('2024-05-01T11:01:00Z'), lat: 40.71, lon: -74.02 },
+    { time: Date.parse('2024-05-01T12:00:00Z'), lat: 40.72, lon: -74.03 }
+  ]);
+});
+
+test('parseFitTrack reads records, compressed timestamps and skips invalid positions', () => {
+  const timestamp = 1000000000;
+  const points = parseFitTrack(
+    fitOf([
+      { timestamp, lat: 40.7, lon: -74.01 },
+      { timeOffset: 5, lat: 40.71, lon: -74.02 },
+      { timestamp: timestamp + 10, lat: null, lon: null }
+    ])
+  );
+  assert.equal(points.length, 2);
+  assert.equal(points[0].time, FIT_EPOCH_MS + timestamp * 1000);
+  assert.equal(points[1].time, FIT_EPOCH_MS + (timestamp + 5) * 1000);
+  assert.ok(Math.abs(points[0].lat - 40.7) < 1e-6 && Math.abs(points[0].lon + 74.01) < 1e-6);
+  assert.ok(Math.abs(points[1].lat - 40.71) < 1e-6 && Math.abs(points[1].lon + 74.02) < 1e-6);
+});
+
+test('parseFitTrack rejects files without the FIT signature', () => {
+  assert.throws(() => parseFitTrack(Buffer.alloc(16)), /not a FIT file/);
+});